@@ -21,6 +21,8 @@ export const authOptions = {
     async session({ session, token }) {
       // Add the access token to the session
       session.accessToken = token.accessToken;
+      // GitHub account id, which deployments record as their owner
+      session.user.id = token.sub;
       return session;
     },
     async redirect({ url, baseUrl }) {
@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import { getServerSession } from "next-auth/next";
+import { authOptions } from "../../auth/[...nextauth]/route";
+import { getDependencyCacheStats, purgeDependencyCache } from "@/lib/deploy/dependencyCache";
+
+// GET endpoint to inspect the dependency cache
+export async function GET() {
+  const session = await getServerSession(authOptions);
+
+  if (!session) {
+    return NextResponse.json({ error: "Not logged in" }, { status: 401 });
+  }
+
+  try {
+    const stats = await getDependencyCacheStats();
+    return NextResponse.json(stats);
+  } catch (error) {
+    console.error("Cache stats error:", error);
+    return NextResponse.json(
+      { error: "Failed to read dependency cache" },
+      { status: 500 }
+    );
+  }
+}
+
+// DELETE endpoint to purge one entry (?key=) or the whole dependency cache
+export async function DELETE(req) {
+  const session = await getServerSession(authOptions);
+
+  if (!session) {
+    return NextResponse.json({ error: "Not logged in" }, { status: 401 });
+  }
+
+  try {
+    const { searchParams } = new URL(req.url);
+    const key = searchParams.get("key");
+
+    const purged = await purgeDependencyCache(key || undefined);
+
+    if (key && purged.length === 0) {
+      return NextResponse.json(
+        { error: "Cache entry not found or in use" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      purged,
+      purgedCount: purged.length,
+    });
+  } catch (error) {
+    console.error("Cache purge error:", error);
+    return NextResponse.json(
+      { error: "Failed to purge dependency cache", details: error.message },
+      { status: 500 }
+    );
+  }
+}
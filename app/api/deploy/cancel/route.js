@@ -0,0 +1,68 @@
+import { NextResponse } from "next/server";
+import { getServerSession } from "next-auth/next";
+import { authOptions } from "../../auth/[...nextauth]/route";
+import { deployQueue } from "@/lib/queues/deployQueue";
+import { requestCancellation } from "@/lib/deploy/cancellation";
+
+export async function POST(req) {
+  const session = await getServerSession(authOptions);
+
+  if (!session) {
+    return NextResponse.json({ error: "Not logged in" }, { status: 401 });
+  }
+
+  try {
+    const { searchParams } = new URL(req.url);
+    const jobId = searchParams.get("jobId");
+
+    if (!jobId) {
+      return NextResponse.json(
+        { error: "Job ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const job = await deployQueue.getJob(jobId);
+
+    // Other users' jobs look the same as missing ones, so job IDs can't be probed
+    if (!job || !session.user?.id || job.data.ownerId !== session.user.id) {
+      return NextResponse.json(
+        { error: "Job not found" },
+        { status: 404 }
+      );
+    }
+
+    const state = await job.getState();
+
+    if (state === "completed" || state === "failed") {
+      return NextResponse.json(
+        { error: `Job already ${state}`, state },
+        { status: 409 }
+      );
+    }
+
+    // Flag first so a worker picking the job up right now still sees it
+    await requestCancellation(jobId);
+
+    // Jobs that haven't started yet can simply be dropped from the queue
+    if (state === "waiting" || state === "delayed" || state === "prioritized") {
+      try {
+        await job.remove();
+      } catch {
+        // Picked up by a worker in the meantime - it will stop on the flag
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      jobId,
+      message: "Cancellation requested. Running processes will be stopped and temporary files removed.",
+    });
+  } catch (error) {
+    console.error("Cancel error:", error);
+    return NextResponse.json(
+      { error: "Failed to cancel deployment", details: error.message },
+      { status: 500 }
+    );
+  }
+}
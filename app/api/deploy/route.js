@@ -1,8 +1,22 @@
 import { NextResponse } from "next/server";
+import { getServerSession } from "next-auth/next";
 import path from "path";
 import fs from "fs/promises";
 import crypto from "crypto";
 import { deployQueue } from "@/lib/queues/deployQueue";
+import { presetIds } from "@/lib/presets";
+import { normalizeNodeVersion } from "@/lib/deploy/nodeVersion";
+import { storeGitCredential, acceptsGitHubToken } from "@/lib/deploy/gitCredentials";
+import { isValidRepoUrl, gitRefError } from "@/lib/deploy/git";
+import { parseEnv } from "@/lib/deploy/envParser";
+import { SECRET_SCAN_MODES } from "@/lib/deploy/secretScan";
+import { COMPRESSION_MODES } from "@/lib/deploy/compression";
+import { authOptions } from "../auth/[...nextauth]/route";
+
+const DEFAULT_BUILD_TIMEOUT_MINUTES = Number(process.env.BUILD_TIMEOUT_MINUTES) || 15;
+const MAX_BUILD_TIMEOUT_MINUTES = Number(process.env.BUILD_TIMEOUT_MAX_MINUTES) || 60;
+const MAX_COMMAND_LENGTH = 1000;
+const JOB_ATTEMPTS = 3;
 
 function generateDeploymentId() {
   return crypto.randomBytes(8).toString("hex");
@@ -31,7 +45,29 @@ async function ensureTempDirectory() {
 export async function POST(req) {
   try {
     const body = await req.json();
-    const { repoUrl, repoName, branch = "main", buildPath = "", backendUrl = "", envVariables = "", useQueue = true } = body;
+    const {
+      repoUrl,
+      repoName,
+      ref = "",
+      branch = "",
+      buildPath = "",
+      backendUrl = "",
+      envVariables = "",
+      preInstall = "",
+      installCommand = "",
+      preBuild = "",
+      buildCommand = "",
+      postBuild = "",
+      outputDirectory = "",
+      framework = "",
+      nodeVersion = "",
+      secretScan = "",
+      compression = "",
+      submodules = null,
+      lfs = null,
+      buildTimeout,
+      useQueue = true,
+    } = body;
 
     // Validate required fields
     if (!repoUrl) {
@@ -42,12 +78,114 @@ export async function POST(req) {
     }
 
     // Validate repository URL format
-    const gitUrlPattern = /^(https?:\/\/)?([\w\.-]+@)?([\w\.-]+)(:\d+)?(\/[\w\.-]+)*\.git$/i;
-    const githubPattern = /^https?:\/\/github\.com\/[\w-]+\/[\w-]+$/i;
-    
-    if (!gitUrlPattern.test(repoUrl) && !githubPattern.test(repoUrl) && !repoUrl.endsWith('.git')) {
+    if (!isValidRepoUrl(repoUrl)) {
+      return NextResponse.json(
+        { error: "Invalid repository URL. Use an https URL of a repository on an allowed host (GIT_ALLOWED_HOSTS)" },
+        { status: 400 }
+      );
+    }
+
+    // A branch, tag or commit SHA; empty means the repository's default branch
+    const gitRef = String(ref || branch).trim();
+    const refError = gitRef ? gitRefError(gitRef) : null;
+    if (refError) {
+      return NextResponse.json(
+        { error: refError },
+        { status: 400 }
+      );
+    }
+
+    // Submodules and LFS are detected by the worker unless forced on or off
+    for (const [field, value] of Object.entries({ submodules, lfs })) {
+      if (value !== null && typeof value !== "boolean") {
+        return NextResponse.json(
+          { error: `${field} must be true, false or null (auto-detect)` },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Validate build overrides
+    for (const [field, value] of Object.entries({ buildPath, preInstall, installCommand, preBuild, buildCommand, postBuild, outputDirectory })) {
+      if (typeof value !== "string" || value.length > MAX_COMMAND_LENGTH || value.includes("\n")) {
+        return NextResponse.json(
+          { error: `${field} must be a single line of at most ${MAX_COMMAND_LENGTH} characters` },
+          { status: 400 }
+        );
+      }
+    }
+
+    // A folder or workspace package name; folders must stay inside the repository
+    const normalizedBuildPath = buildPath.trim() ? path.posix.normalize(buildPath.trim().replace(/\\/g, "/")) : "";
+    if (normalizedBuildPath && (path.posix.isAbsolute(normalizedBuildPath) || normalizedBuildPath.startsWith(".."))) {
+      return NextResponse.json(
+        { error: "Build path must be a relative path inside the repository or a workspace package name" },
+        { status: 400 }
+      );
+    }
+
+    const normalizedOutput = outputDirectory.trim() ? path.posix.normalize(outputDirectory.trim().replace(/\\/g, "/")) : "";
+    if (normalizedOutput && (path.posix.isAbsolute(normalizedOutput) || normalizedOutput.startsWith(".."))) {
+      return NextResponse.json(
+        { error: "Output directory must be a relative path inside the build path" },
+        { status: 400 }
+      );
+    }
+
+    if (framework && framework !== "none" && !presetIds.includes(framework)) {
       return NextResponse.json(
-        { error: "Invalid repository URL format" },
+        { error: `Unknown framework "${framework}". Use one of: ${presetIds.join(", ")}, none` },
+        { status: 400 }
+      );
+    }
+
+    // Which versions are installed is only known to the worker, so just check the syntax here
+    if (typeof nodeVersion !== "string" || nodeVersion.length > 100 || (nodeVersion.trim() && !normalizeNodeVersion(nodeVersion))) {
+      return NextResponse.json(
+        { error: `"${nodeVersion}" is not a valid Node.js version (e.g. 18, 20.11.1, >=18 <23, lts/iron)` },
+        { status: 400 }
+      );
+    }
+
+    // The worker parses them again; checking here reports mistakes before anything is queued
+    if (typeof envVariables !== "string") {
+      return NextResponse.json(
+        { error: "envVariables must be a string in .env format" },
+        { status: 400 }
+      );
+    }
+    const { errors: envErrors } = parseEnv(envVariables);
+    if (envErrors.length > 0) {
+      return NextResponse.json(
+        { error: `Environment variables have ${envErrors.length} error(s)`, envErrors },
+        { status: 400 }
+      );
+    }
+
+    // Empty uses deployer.json or the worker's SECRET_SCAN_MODE
+    if (secretScan && !SECRET_SCAN_MODES.includes(secretScan)) {
+      return NextResponse.json(
+        { error: `secretScan must be one of: ${SECRET_SCAN_MODES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    // Empty uses deployer.json or the worker's COMPRESSION
+    if (compression && !COMPRESSION_MODES.includes(compression)) {
+      return NextResponse.json(
+        { error: `compression must be one of: ${COMPRESSION_MODES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    // Validate build timeout (minutes)
+    const timeoutMinutes = buildTimeout === undefined || buildTimeout === null || buildTimeout === ""
+      ? DEFAULT_BUILD_TIMEOUT_MINUTES
+      : Number(buildTimeout);
+
+    if (!Number.isFinite(timeoutMinutes) || timeoutMinutes < 1 || timeoutMinutes > MAX_BUILD_TIMEOUT_MINUTES) {
+      return NextResponse.json(
+        { error: `Build timeout must be between 1 and ${MAX_BUILD_TIMEOUT_MINUTES} minutes` },
         { status: 400 }
       );
     }
@@ -62,16 +200,40 @@ export async function POST(req) {
     // Use BullMQ queue for build & deploy
     if (useQueue) {
       try {
+        // Hand the worker the signed-in user's GitHub token for private repositories. It's kept
+        // in Redis under a random id that outlives every attempt, never in the job data.
+        const session = await getServerSession(authOptions);
+        let gitCredentialId;
+        if (session?.accessToken && acceptsGitHubToken(repoUrl)) {
+          const ttlSeconds = (timeoutMinutes * JOB_ATTEMPTS + 30) * 60;
+          gitCredentialId = await storeGitCredential(session.accessToken, ttlSeconds);
+        }
+
         const job = await deployQueue.add("deploy", {
           repoUrl,
           repoName: repoName || "repository",
-          branch,
-          buildPath,
+          ref: gitRef,
+          buildPath: normalizedBuildPath,
           backendUrl,
           envVariables,
+          preInstall: preInstall.trim(),
+          installCommand: installCommand.trim(),
+          preBuild: preBuild.trim(),
+          buildCommand: buildCommand.trim(),
+          postBuild: postBuild.trim(),
+          outputDirectory: normalizedOutput,
+          framework,
+          nodeVersion: nodeVersion.trim(),
+          secretScan,
+          compression,
+          buildTimeout: timeoutMinutes,
+          gitCredentialId,
+          submodules,
+          lfs,
           deploymentId,
+          ownerId: session?.user?.id,
         }, {
-          attempts: 3, // Retry failed jobs 3 times
+          attempts: JOB_ATTEMPTS,
           backoff: {
             type: 'exponential',
             delay: 5000, // Start with 5 second delay
@@ -85,10 +247,11 @@ export async function POST(req) {
           deploymentId,
           jobId: job.id,
           repoName: repoName || "repository",
-          branch,
+          ref: gitRef || null,
           message: "Deployment job created. Build process will start shortly.",
           statusUrl: `/api/deploy/status?jobId=${job.id}`,
           logsUrl: `/api/deploy/logs?jobId=${job.id}`,
+          cancelUrl: `/api/deploy/cancel?jobId=${job.id}`,
           useQueue: true,
           timestamp: new Date().toISOString(),
         });
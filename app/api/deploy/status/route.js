@@ -1,5 +1,6 @@
 import { NextResponse } from "next/server";
 import { deployQueue } from "@/lib/queues/deployQueue";
+import { isCancellationRequested } from "@/lib/deploy/cancellation";
 
 export async function GET(req) {
   try {
@@ -14,15 +15,23 @@ export async function GET(req) {
     }
 
     const job = await deployQueue.getJob(jobId);
+    const cancelRequested = await isCancellationRequested(jobId);
 
     if (!job) {
+      // Jobs cancelled before they started are removed from the queue
+      if (cancelRequested) {
+        return NextResponse.json({ jobId, state: "cancelled", progress: 0 });
+      }
       return NextResponse.json(
         { error: "Job not found" },
         { status: 404 }
       );
     }
 
-    const state = await job.getState();
+    let state = await job.getState();
+    if (state === "failed" && cancelRequested) {
+      state = "cancelled";
+    }
     const progress = job.progress;
     const result = job.returnvalue;
     const failedReason = job.failedReason;
@@ -33,6 +42,7 @@ export async function GET(req) {
       progress,
       result,
       failedReason,
+      cancelRequested,
     });
   } catch (error) {
     console.error("Status check error:", error);
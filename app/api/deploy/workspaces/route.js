@@ -0,0 +1,67 @@
+import { NextResponse } from "next/server";
+import { getServerSession } from "next-auth/next";
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+import { authOptions } from "../../auth/[...nextauth]/route";
+import { shallowCheckout, isValidRepoUrl, gitRefError } from "@/lib/deploy/git";
+import { gitAuthEnvironment } from "@/lib/deploy/gitCredentials";
+import { discoverWorkspaces } from "@/lib/deploy/workspaces";
+import { redactSecrets } from "@/lib/deploy/runCommand";
+
+const CLONE_TIMEOUT_MS = 60 * 1000;
+
+// Clone output isn't shown anywhere, only the error summary matters
+const silentLog = {
+  write() {},
+  writeAlways() {},
+  limitReached: false,
+  flush: async () => {},
+};
+
+/**
+ * List the deployable packages of a repository at a branch, tag or commit
+ */
+export async function GET(req) {
+  const session = await getServerSession(authOptions);
+  if (!session) {
+    return NextResponse.json({ error: "Not logged in" }, { status: 401 });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const repoUrl = searchParams.get("repoUrl");
+  const ref = (searchParams.get("ref") || "").trim();
+
+  if (!isValidRepoUrl(repoUrl)) {
+    return NextResponse.json({ error: "Invalid repository URL. Use an https URL of a repository on an allowed host (GIT_ALLOWED_HOSTS)" }, { status: 400 });
+  }
+  const refError = ref ? gitRefError(ref) : null;
+  if (refError) {
+    return NextResponse.json({ error: refError }, { status: 400 });
+  }
+
+  const clonePath = path.join(process.cwd(), "temp", `workspaces-${crypto.randomBytes(6).toString("hex")}`);
+  const gitAuth = gitAuthEnvironment(repoUrl, session.accessToken);
+
+  try {
+    await fs.mkdir(path.dirname(clonePath), { recursive: true });
+    await shallowCheckout({
+      repoUrl,
+      ref,
+      directory: clonePath,
+      env: { ...process.env, ...gitAuth.env },
+      log: silentLog,
+      signal: AbortSignal.timeout(CLONE_TIMEOUT_MS),
+    });
+
+    const { tools, packages } = discoverWorkspaces(clonePath);
+    return NextResponse.json({ repoUrl, ref: ref || null, tools, packages });
+  } catch (error) {
+    return NextResponse.json(
+      { error: "Failed to read repository packages", details: redactSecrets(error.message, gitAuth.secrets) },
+      { status: 502 }
+    );
+  } finally {
+    await fs.rm(clonePath, { recursive: true, force: true });
+  }
+}
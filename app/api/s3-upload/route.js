@@ -2,6 +2,7 @@ import { NextResponse } from "next/server";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import fs from "fs";
 import path from "path";
+import { contentTypeFor } from "@/lib/deploy/contentType";
 
 // Initialize S3 Client
 const s3 = new S3Client({
@@ -43,35 +44,12 @@ function getAllFiles(folderPath) {
  */
 async function uploadFileToS3(filePath, s3Key, bucketName) {
   const fileContent = fs.readFileSync(filePath);
-  
-  // Determine content type based on file extension
-  const ext = path.extname(filePath).toLowerCase();
-  const contentTypeMap = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon',
-    '.txt': 'text/plain',
-    '.pdf': 'application/pdf',
-    '.woff': 'font/woff',
-    '.woff2': 'font/woff2',
-    '.ttf': 'font/ttf',
-    '.eot': 'application/vnd.ms-fontobject',
-  };
-
-  const contentType = contentTypeMap[ext] || 'application/octet-stream';
 
   const command = new PutObjectCommand({
     Bucket: bucketName,
     Key: s3Key,
     Body: fileContent,
-    ContentType: contentType,
+    ContentType: contentTypeFor(filePath),
   });
 
   await s3.send(command);
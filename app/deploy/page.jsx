@@ -1,8 +1,9 @@
 "use client";
 
-import { useEffect, useState, Suspense } from "react";
+import { useCallback, useEffect, useState, Suspense } from "react";
 import { useSession, signOut } from "next-auth/react";
 import { useRouter, useSearchParams } from "next/navigation";
+import { formatSize } from "@/lib/deploy/formatSize";
 
 // --- Design Theme Constants for easy modification ---
 const THEME = {
@@ -26,10 +27,40 @@ const THEME = {
   BUTTON_SECONDARY: { BG: "bg-gray-800", HOVER_BG: "bg-gray-700", TEXT: "text-white", BORDER: "border-blue-900" },
 };
 
+// Framework presets the worker knows about (lib/presets)
+const frameworkOptions = [
+  { id: "", name: "Auto-detect" },
+  { id: "vite", name: "Vite" },
+  { id: "create-react-app", name: "Create React App" },
+  { id: "vue-cli", name: "Vue CLI" },
+  { id: "angular", name: "Angular" },
+  { id: "astro", name: "Astro" },
+  { id: "sveltekit", name: "SvelteKit (adapter-static)" },
+  { id: "gatsby", name: "Gatsby" },
+  { id: "docusaurus", name: "Docusaurus" },
+  { id: "nextjs", name: "Next.js (static export)" },
+  { id: "none", name: "None (plain build)" },
+];
+
+// What the worker does when a server-only variable's value ends up in the build output
+const secretScanOptions = [
+  { id: "", name: "Default (repository or worker setting)" },
+  { id: "warn", name: "Warn in the log" },
+  { id: "fail", name: "Fail the deployment" },
+  { id: "off", name: "Don't check" },
+];
+
+// Whether Brotli and gzip variants of text assets are uploaded
+const compressionOptions = [
+  { id: "", name: "Default (repository or worker setting)" },
+  { id: "on", name: "Upload Brotli and gzip variants" },
+  { id: "off", name: "Upload files as built" },
+];
+
 // Simplified Step Logic for the new design
 const buildSteps = [
-  { name: 'Cloning repository', key: 'cloning', progress: 15, description: "Clones your repository from GitHub." },
-  { name: 'Installing dependencies', key: 'installing', progress: 40, description: "Installs project dependencies with npm." },
+  { name: 'Cloning repository', key: 'cloning', progress: 15, description: "Fetches the selected branch, tag or commit from GitHub (shallow clone)." },
+  { name: 'Installing dependencies', key: 'installing', progress: 40, description: "Installs project dependencies with the package manager your lockfile uses (npm, pnpm, yarn or bun)." },
   { name: 'Building project', key: 'building', progress: 70, description: "Builds your project for production (e.g., using `npm run build`)." },
   { name: 'Uploading to S3', key: 'uploading', progress: 95, description: "Uploads all production files to an AWS S3 bucket." },
   { name: 'CloudFront invalidation', key: 'cloudfront', progress: 100, description: "Invalidates the CloudFront cache and provides a global CDN URL." },
@@ -48,11 +79,33 @@ function DeployContent() {
   const [deploymentResult, setDeploymentResult] = useState(null);
   const [error, setError] = useState(null);
   const [buildPath, setBuildPath] = useState("");
+  const [gitRef, setGitRef] = useState("");
+  const [submodules, setSubmodules] = useState("");
+  const [lfs, setLfs] = useState("");
   const [backendUrl, setBackendUrl] = useState("");
   const [envVariables, setEnvVariables] = useState("");
+  const [envErrors, setEnvErrors] = useState([]);
+  const [secretScan, setSecretScan] = useState("");
+  const [compression, setCompression] = useState("");
+  const [installCommand, setInstallCommand] = useState("");
+  const [preInstall, setPreInstall] = useState("");
+  const [preBuild, setPreBuild] = useState("");
+  const [postBuild, setPostBuild] = useState("");
+  const [buildCommand, setBuildCommand] = useState("");
+  const [outputDirectory, setOutputDirectory] = useState("");
+  const [framework, setFramework] = useState("");
+  const [nodeVersion, setNodeVersion] = useState("");
+  const [buildTimeout, setBuildTimeout] = useState("");
   const [jobId, setJobId] = useState(null);
   const [logs, setLogs] = useState([]);
   const [progress, setProgress] = useState(0);
+  const [cancelling, setCancelling] = useState(false);
+  const [cancelled, setCancelled] = useState(false);
+  const [cancelError, setCancelError] = useState(null);
+  const [workspaces, setWorkspaces] = useState(null);
+  const [workspacesLoading, setWorkspacesLoading] = useState(false);
+  const [workspacesError, setWorkspacesError] = useState(null);
+  const [manualBuildPath, setManualBuildPath] = useState(false);
 
   useEffect(() => {
     if (status === "unauthenticated") {
@@ -60,6 +113,45 @@ function DeployContent() {
     }
   }, [status, router]);
 
+  // Read the repository's packages so the build path can be picked instead of typed
+  const loadWorkspaces = useCallback(async (ref = "") => {
+    if (!repoUrl) return;
+    setWorkspacesLoading(true);
+    setWorkspacesError(null);
+
+    try {
+      const params = new URLSearchParams({ repoUrl, ref });
+      const response = await fetch(`/api/deploy/workspaces?${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        setWorkspaces(null);
+        setWorkspacesError(data.details || data.error || "Could not read repository packages");
+        setManualBuildPath(true);
+        return;
+      }
+
+      setWorkspaces(data);
+      const candidates = data.packages.filter((workspacePackage) => workspacePackage.candidate);
+      // Preselect the only app, but never override a manual choice
+      if (candidates.length === 1) {
+        setBuildPath((current) => current || candidates[0].path);
+      }
+    } catch (err) {
+      setWorkspacesError(err.message || "Network error");
+      setManualBuildPath(true);
+    } finally {
+      setWorkspacesLoading(false);
+    }
+  }, [repoUrl]);
+
+  // Once per repository, for its default branch; the Refresh button reloads for another ref
+  useEffect(() => {
+    if (status === "authenticated" && repoUrl) {
+      loadWorkspaces();
+    }
+  }, [status, repoUrl, loadWorkspaces]);
+
   // Poll for job status and logs
   useEffect(() => {
     if (!jobId || !deploying) return;
@@ -87,6 +179,11 @@ function DeployContent() {
           setDeploymentResult(statusData.result);
           setDeploying(false);
           clearInterval(pollInterval);
+        } else if (statusData.state === 'cancelled') {
+          setCancelled(true);
+          setCancelling(false);
+          setDeploying(false);
+          clearInterval(pollInterval);
         } else if (statusData.state === 'failed') {
           setError(statusData.failedReason || 'Deployment failed');
           setDeploying(false);
@@ -106,9 +203,32 @@ function DeployContent() {
     setTimeout(() => setCopied(false), 2000);
   };
 
+  const handleCancel = async () => {
+    if (!jobId) return;
+    setCancelling(true);
+    setCancelError(null);
+
+    try {
+      const response = await fetch(`/api/deploy/cancel?jobId=${jobId}`, { method: "POST" });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setCancelling(false);
+        setCancelError(data.details || data.error || "Could not cancel the deployment");
+      }
+    } catch (err) {
+      setCancelling(false);
+      setCancelError(err.message || "Network error");
+    }
+  };
+
   const handleDeploy = async () => {
     setDeploying(true);
+    setCancelled(false);
+    setCancelling(false);
+    setCancelError(null);
     setError(null);
+    setEnvErrors([]);
     setDeploymentResult(null);
     setLogs([]);
     setProgress(0);
@@ -120,10 +240,23 @@ function DeployContent() {
         body: JSON.stringify({
           repoUrl,
           repoName: repoName || "repository",
-          branch: "main",
+          ref: gitRef.trim(),
+          submodules: submodules === "" ? null : submodules === "true",
+          lfs: lfs === "" ? null : lfs === "true",
           buildPath: buildPath.trim() || "",
           backendUrl: backendUrl.trim() || "",
-          envVariables: envVariables.trim() || "",
+          envVariables, // untrimmed so error line numbers match the textarea
+          secretScan,
+          compression,
+          preInstall: preInstall.trim(),
+          installCommand: installCommand.trim(),
+          preBuild: preBuild.trim(),
+          postBuild: postBuild.trim(),
+          buildCommand: buildCommand.trim(),
+          outputDirectory: outputDirectory.trim(),
+          framework,
+          nodeVersion: nodeVersion.trim(),
+          buildTimeout: buildTimeout.trim() || undefined,
         }),
       });
 
@@ -131,6 +264,10 @@ function DeployContent() {
 
       if (response.ok && data.success) {
         setJobId(data.jobId);
+      } else if (data.envErrors) {
+        // Shown under the textarea so the form stays open for fixing them
+        setEnvErrors(data.envErrors);
+        setDeploying(false);
       } else {
         setError(data.error || data.details || "Deployment failed");
         setDeploying(false);
@@ -214,24 +351,252 @@ function DeployContent() {
           </div>
         </div>
 
-        {/* Build Path Configuration (Pre-Deployment) */}
+        {/* Git Ref Configuration (Pre-Deployment) */}
         {!deploying && !deploymentResult && (
           <div className={`${THEME.CARD_BG} border ${THEME.BORDER_COLOR} rounded-xl p-6 mb-8 shadow-md`}>
             <label className={`block ${THEME.TEXT_PRIMARY} font-semibold mb-3`}>
-              Build Path (Optional)
+              Branch, Tag or Commit (Optional)
               <span className={`text-sm font-normal ml-2 ${THEME.TEXT_SECONDARY}`}>
-                For monorepos or nested projects
+                What to deploy
               </span>
             </label>
             <input
               type="text"
-              value={buildPath}
-              onChange={(e) => setBuildPath(e.target.value)}
-              placeholder="e.g., frontend, packages/web, client"
-              className={`w-full px-4 py-3 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50`}
+              value={gitRef}
+              onChange={(e) => setGitRef(e.target.value)}
+              placeholder="Default branch"
+              className={`w-full px-4 py-3 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono`}
             />
             <p className={`${THEME.TEXT_SECONDARY} text-sm mt-2`}>
-              Leave empty if `package.json` is in the repository root. Enter the subdirectory path if your project is in a subfolder.
+              A branch or tag name, or a full 40-character commit SHA. Leave empty to deploy the repository&apos;s default branch.
+            </p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-5">
+              {[
+                { label: "Submodules", value: submodules, onChange: setSubmodules, detect: "Auto-detect (.gitmodules)" },
+                { label: "Git LFS", value: lfs, onChange: setLfs, detect: "Auto-detect (.gitattributes)" },
+              ].map((option) => (
+                <div key={option.label}>
+                  <label className={`block ${THEME.TEXT_SECONDARY} text-sm mb-2`}>
+                    {option.label}
+                  </label>
+                  <select
+                    value={option.value}
+                    onChange={(e) => option.onChange(e.target.value)}
+                    className={`w-full px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 text-sm`}
+                  >
+                    <option value="">{option.detect}</option>
+                    <option value="true">Always</option>
+                    <option value="false">Never</option>
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Build Path Configuration (Pre-Deployment) */}
+        {!deploying && !deploymentResult && (
+          <div className={`${THEME.CARD_BG} border ${THEME.BORDER_COLOR} rounded-xl p-6 mb-8 shadow-md`}>
+            <div className="flex items-center justify-between mb-3">
+              <label className={`block ${THEME.TEXT_PRIMARY} font-semibold`}>
+                App to Deploy
+                <span className={`text-sm font-normal ml-2 ${THEME.TEXT_SECONDARY}`}>
+                  {workspaces?.tools.length > 0 ? `Monorepo: ${workspaces.tools.join(", ")}` : "For monorepos or nested projects"}
+                </span>
+              </label>
+              <button
+                type="button"
+                onClick={() => loadWorkspaces(gitRef.trim())}
+                disabled={workspacesLoading}
+                className={`text-xs px-3 py-1 ${THEME.BUTTON_SECONDARY.BG} border ${THEME.BUTTON_SECONDARY.BORDER} hover:${THEME.BUTTON_SECONDARY.HOVER_BG} ${THEME.BUTTON_SECONDARY.TEXT} rounded-lg transition disabled:opacity-50`}
+              >
+                {workspacesLoading ? 'Reading…' : 'Refresh'}
+              </button>
+            </div>
+
+            {workspacesLoading && !workspaces && (
+              <p className={`${THEME.TEXT_SECONDARY} text-sm`}>Reading repository packages…</p>
+            )}
+
+            {workspaces && workspaces.packages.length > 0 && (
+              <div className="space-y-2">
+                {workspaces.packages.map((workspacePackage) => (
+                  <button
+                    type="button"
+                    key={workspacePackage.path || "."}
+                    onClick={() => { setBuildPath(workspacePackage.path); setManualBuildPath(false); }}
+                    className={`w-full text-left px-4 py-3 rounded-lg border transition ${
+                      !manualBuildPath && buildPath === workspacePackage.path
+                        ? 'border-blue-500 bg-blue-950'
+                        : `${THEME.BORDER_COLOR} ${THEME.ACCENT_BG} hover:border-gray-500`
+                    } ${workspacePackage.candidate ? '' : 'opacity-60'}`}
+                  >
+                    <div className="flex items-center justify-between gap-3">
+                      <span className={`${THEME.TEXT_PRIMARY} font-semibold text-sm truncate`}>{workspacePackage.name}</span>
+                      <span className={`text-xs ${workspacePackage.framework ? THEME.ACCENT : THEME.TEXT_SECONDARY}`}>
+                        {workspacePackage.framework ? workspacePackage.framework.name : 'No framework detected'}
+                      </span>
+                    </div>
+                    <div className={`${THEME.TEXT_SECONDARY} text-xs font-mono mt-1`}>
+                      {workspacePackage.path || '(repository root)'}
+                      {workspacePackage.internalDependencies.length > 0 && ` · uses ${workspacePackage.internalDependencies.join(", ")}`}
+                    </div>
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setManualBuildPath(true)}
+                  className={`text-sm ${THEME.ACCENT} hover:underline`}
+                >
+                  Other folder…
+                </button>
+              </div>
+            )}
+
+            {workspacesError && (
+              <p className={`${THEME.ERROR.TEXT} text-xs mb-2`}>Couldn&apos;t list packages: {workspacesError}</p>
+            )}
+
+            {(manualBuildPath || (workspaces && workspaces.packages.length === 0)) && (
+              <>
+                <input
+                  type="text"
+                  value={buildPath}
+                  onChange={(e) => setBuildPath(e.target.value)}
+                  placeholder="e.g., frontend, packages/web, client"
+                  className={`w-full mt-3 px-4 py-3 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50`}
+                />
+                <p className={`${THEME.TEXT_SECONDARY} text-sm mt-2`}>
+                  Leave empty if `package.json` is in the repository root. Enter the subdirectory path or workspace package name otherwise.
+                </p>
+              </>
+            )}
+
+            <label className={`block ${THEME.TEXT_SECONDARY} text-sm mt-5 mb-2`}>
+              Framework
+            </label>
+            <select
+              value={framework}
+              onChange={(e) => setFramework(e.target.value)}
+              className={`w-full sm:w-72 px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 text-sm`}
+            >
+              {frameworkOptions.map((option) => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-5">
+              <div>
+                <label className={`block ${THEME.TEXT_SECONDARY} text-sm mb-2`}>
+                  Install Command
+                </label>
+                <input
+                  type="text"
+                  value={installCommand}
+                  onChange={(e) => setInstallCommand(e.target.value)}
+                  placeholder="Detected from lockfile"
+                  className={`w-full px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+                />
+              </div>
+              <div>
+                <label className={`block ${THEME.TEXT_SECONDARY} text-sm mb-2`}>
+                  Build Command
+                </label>
+                <input
+                  type="text"
+                  value={buildCommand}
+                  onChange={(e) => setBuildCommand(e.target.value)}
+                  placeholder="npm run build"
+                  className={`w-full px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+                />
+              </div>
+              <div>
+                <label className={`block ${THEME.TEXT_SECONDARY} text-sm mb-2`}>
+                  Output Directory
+                </label>
+                <input
+                  type="text"
+                  value={outputDirectory}
+                  onChange={(e) => setOutputDirectory(e.target.value)}
+                  placeholder="dist, build or out"
+                  className={`w-full px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+                />
+              </div>
+            </div>
+            <p className={`${THEME.TEXT_SECONDARY} text-xs mt-2`}>
+              Leave empty to auto-detect. The output directory is relative to the build path; the deployment fails if it doesn&apos;t exist after the build.
+            </p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-5">
+              <div>
+                <label className={`block ${THEME.TEXT_SECONDARY} text-sm mb-2`}>
+                  Pre-install Hook
+                </label>
+                <input
+                  type="text"
+                  value={preInstall}
+                  onChange={(e) => setPreInstall(e.target.value)}
+                  placeholder="e.g. cp .npmrc.ci .npmrc"
+                  className={`w-full px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+                />
+              </div>
+              <div>
+                <label className={`block ${THEME.TEXT_SECONDARY} text-sm mb-2`}>
+                  Pre-build Hook
+                </label>
+                <input
+                  type="text"
+                  value={preBuild}
+                  onChange={(e) => setPreBuild(e.target.value)}
+                  placeholder="e.g. node scripts/fetch-cms.js"
+                  className={`w-full px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+                />
+              </div>
+              <div>
+                <label className={`block ${THEME.TEXT_SECONDARY} text-sm mb-2`}>
+                  Post-build Hook
+                </label>
+                <input
+                  type="text"
+                  value={postBuild}
+                  onChange={(e) => setPostBuild(e.target.value)}
+                  placeholder="e.g. npm test"
+                  className={`w-full px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+                />
+              </div>
+            </div>
+            <p className={`${THEME.TEXT_SECONDARY} text-xs mt-2`}>
+              Optional commands run in the build path, in the same sandbox as the build. A failing hook stops the deployment.
+            </p>
+
+            <label className={`block ${THEME.TEXT_SECONDARY} text-sm mt-5 mb-2`}>
+              Node.js Version
+            </label>
+            <input
+              type="text"
+              value={nodeVersion}
+              onChange={(e) => setNodeVersion(e.target.value)}
+              placeholder="e.g., 18, 20.11.1, lts/iron"
+              className={`w-full sm:w-72 px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+            />
+            <p className={`${THEME.TEXT_SECONDARY} text-xs mt-1`}>
+              Leave empty to use `.nvmrc`, `.node-version` or `engines.node` from the repository.
+            </p>
+
+            <label className={`block ${THEME.TEXT_SECONDARY} text-sm mt-5 mb-2`}>
+              Build Timeout (minutes)
+            </label>
+            <input
+              type="number"
+              min={1}
+              value={buildTimeout}
+              onChange={(e) => setBuildTimeout(e.target.value)}
+              placeholder="15"
+              className={`w-full sm:w-40 px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 text-sm`}
+            />
+            <p className={`${THEME.TEXT_SECONDARY} text-xs mt-1`}>
+              Clone, install and build are stopped if they run longer than this.
             </p>
           </div>
         )}
@@ -270,25 +635,67 @@ function DeployContent() {
               </label>
               <textarea
                 value={envVariables}
-                onChange={(e) => setEnvVariables(e.target.value)}
+                onChange={(e) => {
+                  setEnvVariables(e.target.value);
+                  setEnvErrors([]);
+                }}
                 placeholder={`REACT_APP_CUSTOM_KEY=value
 VITE_FIREBASE_API_KEY=your_key
 NEXT_PUBLIC_SITE_URL=https://example.com
 API_TIMEOUT=5000`}
                 rows={6}
-                className={`w-full px-4 py-3 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
+                className={`w-full px-4 py-3 ${THEME.ACCENT_BG} border ${envErrors.length > 0 ? THEME.ERROR.BORDER : THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} placeholder-gray-400 focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 font-mono text-sm`}
               />
+              {envErrors.length > 0 && (
+                <ul className={`${THEME.ERROR.TEXT} text-xs mt-2 space-y-0.5 font-mono`}>
+                  {envErrors.map(({ line, message }) => (
+                    <li key={`${line}-${message}`}>Line {line}: {message}</li>
+                  ))}
+                </ul>
+              )}
               <p className={`${THEME.TEXT_SECONDARY} text-xs mt-2`}>
-                Format: <code className="bg-gray-200 px-1 py-0.5 rounded">KEY=value</code> (one per line)
+                Format: <code className="bg-gray-200 px-1 py-0.5 rounded">KEY=value</code> (one per line, .env syntax: quotes, multiline values and <code className="bg-gray-200 px-1 py-0.5 rounded">export</code> work)
                 <br />
                 These will be available during build time in your application.
               </p>
+
+              <label className={`block ${THEME.TEXT_SECONDARY} text-sm mt-4 mb-2`}>
+                Server-only values in the build output
+              </label>
+              <select
+                value={secretScan}
+                onChange={(e) => setSecretScan(e.target.value)}
+                className={`w-full sm:w-72 px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 text-sm`}
+              >
+                {secretScanOptions.map((option) => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+              <p className={`${THEME.TEXT_SECONDARY} text-xs mt-1`}>
+                Variables without the framework&apos;s public prefix (VITE_, REACT_APP_, NEXT_PUBLIC_, …) are searched for in the files before upload.
+              </p>
+
+              <label className={`block ${THEME.TEXT_SECONDARY} text-sm mt-4 mb-2`}>
+                Compression
+              </label>
+              <select
+                value={compression}
+                onChange={(e) => setCompression(e.target.value)}
+                className={`w-full sm:w-72 px-4 py-2 ${THEME.ACCENT_BG} border ${THEME.BORDER_COLOR} rounded-lg ${THEME.TEXT_PRIMARY} focus:outline-none focus:border-gray-500 focus:ring-1 focus:ring-gray-500/50 text-sm`}
+              >
+                {compressionOptions.map((option) => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+              <p className={`${THEME.TEXT_SECONDARY} text-xs mt-1`}>
+                HTML, JS, CSS, SVG, JSON and WASM files are compressed after the build. Serving them needs the CloudFront routing function.
+              </p>
             </div>
           </div>
         )}
 
         {/* Main Deploy Button (Initial State) */}
-        {!deploying && !deploymentResult && !error && (
+        {!deploying && !deploymentResult && !error && !cancelled && (
           <div className={`${THEME.CARD_BG} border ${THEME.BORDER_COLOR} rounded-xl p-6 sm:p-8 mb-6 sm:mb-8 text-center shadow-lg`}>
             <h3 className={`text-2xl sm:text-3xl font-bold ${THEME.TEXT_PRIMARY} mb-2 sm:mb-3`}>
               Ready to Deploy?
@@ -386,6 +793,53 @@ API_TIMEOUT=5000`}
                 </div>
               </div>
             )}
+
+            <div className="text-center mt-6">
+              <button
+                onClick={handleCancel}
+                disabled={!jobId || cancelling}
+                className={`px-6 py-2.5 ${THEME.BUTTON_SECONDARY.BG} border ${THEME.ERROR.BORDER} ${THEME.ERROR.TEXT} hover:${THEME.BUTTON_SECONDARY.HOVER_BG} font-semibold rounded-lg transition text-sm disabled:opacity-50 disabled:cursor-not-allowed touch-manipulation`}
+              >
+                {cancelling ? 'Cancelling...' : 'Cancel Deployment'}
+              </button>
+              {cancelError && (
+                <p className={`${THEME.ERROR.TEXT} text-xs mt-2`}>Couldn&apos;t cancel: {cancelError}</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Cancelled State */}
+        {cancelled && (
+          <div className={`${THEME.CARD_BG} border ${THEME.BORDER_COLOR} rounded-xl p-8 mb-8 text-center shadow-lg`}>
+            <h3 className={`text-2xl font-bold ${THEME.TEXT_PRIMARY} mb-2`}>Deployment Cancelled</h3>
+            <p className={THEME.TEXT_SECONDARY}>The build was stopped and its temporary files were removed.</p>
+
+            {logs.length > 0 && (
+              <div className={`${THEME.CODE_BG} rounded-lg p-4 mb-6 mt-6 max-h-48 overflow-y-auto text-left border border-blue-900`}>
+                <div className="text-xs font-mono space-y-1">
+                  <div className="text-gray-400 sticky top-0 bg-gray-950 py-1 mb-1 border-b border-blue-900">**Deployment Logs**</div>
+                  {logs.map((log, index) => (
+                    <div key={index} className={THEME.CODE_TEXT}>
+                      {log}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={() => {
+                setCancelled(false);
+                setError(null);
+                setDeploymentResult(null);
+                setLogs([]);
+                setProgress(0);
+              }}
+              className={`px-6 py-3 ${THEME.BUTTON_PRIMARY.BG} ${THEME.BUTTON_PRIMARY.TEXT} font-semibold rounded-lg hover:${THEME.BUTTON_PRIMARY.HOVER_BG} transition mt-4`}
+            >
+              Deploy Again
+            </button>
           </div>
         )}
 
@@ -460,6 +914,98 @@ API_TIMEOUT=5000`}
                 <div className={`text-xs sm:text-sm mb-1 ${THEME.TEXT_SECONDARY}`}>Repository</div>
                 <div className={`${THEME.TEXT_PRIMARY} font-semibold text-sm sm:text-base truncate`}>{deploymentResult.repoName}</div>
               </div>
+              <div className={`${THEME.ACCENT_BG} rounded-lg p-3 sm:p-4 border ${THEME.BORDER_COLOR}`}>
+                <div className={`text-xs sm:text-sm mb-1 ${THEME.TEXT_SECONDARY}`}>Framework</div>
+                <div className={`${THEME.TEXT_PRIMARY} font-semibold text-sm sm:text-base`}>
+                  {deploymentResult.framework ? deploymentResult.framework.name : 'Not detected'}
+                  {deploymentResult.framework?.overridden && <span className={`text-xs font-normal ml-2 ${THEME.TEXT_SECONDARY}`}>(override)</span>}
+                </div>
+              </div>
+              {deploymentResult.commit && (
+                <div className={`${THEME.ACCENT_BG} rounded-lg p-3 sm:p-4 border ${THEME.BORDER_COLOR} sm:col-span-2`}>
+                  <div className={`text-xs sm:text-sm mb-1 ${THEME.TEXT_SECONDARY}`}>
+                    Commit <span className="font-mono">{deploymentResult.commit.ref}</span>
+                  </div>
+                  <div className={`${THEME.TEXT_PRIMARY} text-sm sm:text-base truncate`}>
+                    <code className="font-mono mr-2">{deploymentResult.commit.shortSha}</code>
+                    {deploymentResult.commit.message.split("\n")[0]}
+                  </div>
+                  <div className={`text-xs mt-1 ${THEME.TEXT_SECONDARY}`}>
+                    {deploymentResult.commit.author.name} · {new Date(deploymentResult.commit.date).toLocaleString()}
+                    {deploymentResult.commit.submodules?.length > 0 && ` · ${deploymentResult.commit.submodules.length} submodule(s)`}
+                    {deploymentResult.commit.lfsObjects > 0 && ` · ${deploymentResult.commit.lfsObjects} LFS object(s)`}
+                  </div>
+                </div>
+              )}
+              {deploymentResult.nodeVersion && (
+                <div className={`${THEME.ACCENT_BG} rounded-lg p-3 sm:p-4 border ${THEME.BORDER_COLOR}`}>
+                  <div className={`text-xs sm:text-sm mb-1 ${THEME.TEXT_SECONDARY}`}>Node.js</div>
+                  <div className={`${THEME.TEXT_PRIMARY} font-semibold text-sm sm:text-base`}>
+                    {deploymentResult.nodeVersion.version}
+                    {deploymentResult.nodeVersion.source && <span className={`text-xs font-normal ml-2 ${THEME.TEXT_SECONDARY}`}>({deploymentResult.nodeVersion.source})</span>}
+                  </div>
+                </div>
+              )}
+              {deploymentResult.secretScan && (
+                <div className={`${THEME.ACCENT_BG} rounded-lg p-3 sm:p-4 border ${deploymentResult.secretScan.leaks.length > 0 ? THEME.ERROR.BORDER : THEME.BORDER_COLOR}`}>
+                  <div className={`text-xs sm:text-sm mb-1 ${THEME.TEXT_SECONDARY}`}>Secret Scan</div>
+                  <div className={`${deploymentResult.secretScan.leaks.length > 0 ? THEME.ERROR.TEXT : THEME.TEXT_PRIMARY} font-semibold text-sm sm:text-base`}>
+                    {deploymentResult.secretScan.leaks.length > 0
+                      ? `${deploymentResult.secretScan.leaks.map((leak) => leak.key).join(", ")} found in the output`
+                      : `No leaks (${deploymentResult.secretScan.checked} checked)`}
+                  </div>
+                </div>
+              )}
+              {deploymentResult.sizeReport && (
+                <div className={`${THEME.ACCENT_BG} rounded-lg p-3 sm:p-4 border ${THEME.BORDER_COLOR} sm:col-span-2`}>
+                  <div className={`text-xs sm:text-sm mb-1 ${THEME.TEXT_SECONDARY}`}>Size</div>
+                  <div className={`${THEME.TEXT_PRIMARY} font-semibold text-sm sm:text-base mb-2`}>
+                    {formatSize(deploymentResult.sizeReport.totalBytes)}
+                    <span className={`text-xs font-normal ml-2 ${THEME.TEXT_SECONDARY}`}>({deploymentResult.sizeReport.totalFiles} files)</span>
+                  </div>
+                  {deploymentResult.sizeReport.compressed && (
+                    <div className={`text-xs mb-2 ${THEME.TEXT_SECONDARY}`}>
+                      {deploymentResult.sizeReport.compressed.files} compressible files: {formatSize(deploymentResult.sizeReport.compressed.originalBytes)} →{" "}
+                      {formatSize(deploymentResult.sizeReport.compressed.brotliBytes)} Brotli, {formatSize(deploymentResult.sizeReport.compressed.gzipBytes)} gzip
+                    </div>
+                  )}
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-xs">
+                    <ul className="space-y-0.5">
+                      {deploymentResult.sizeReport.directories.slice(0, 5).map((directory) => (
+                        <li key={directory.path} className="flex justify-between gap-2">
+                          <span className={`font-mono truncate ${THEME.TEXT_PRIMARY}`}>{directory.path === "." ? "(root)" : `${directory.path}/`}</span>
+                          <span className={THEME.TEXT_SECONDARY}>{formatSize(directory.bytes)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                    <ul className="space-y-0.5">
+                      {deploymentResult.sizeReport.largestFiles.slice(0, 5).map((file) => (
+                        <li key={file.path} className="flex justify-between gap-2">
+                          <span className={`font-mono truncate ${THEME.TEXT_PRIMARY}`}>{file.path}</span>
+                          <span className={THEME.TEXT_SECONDARY}>{formatSize(file.bytes)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              )}
+              {deploymentResult.upload && (
+                <div className={`${THEME.ACCENT_BG} rounded-lg p-3 sm:p-4 border ${THEME.BORDER_COLOR}`}>
+                  <div className={`text-xs sm:text-sm mb-1 ${THEME.TEXT_SECONDARY}`}>Upload</div>
+                  <div className={`${THEME.TEXT_PRIMARY} font-semibold text-sm sm:text-base`}>
+                    {formatSize(deploymentResult.upload.bytesPerSecond)}/s
+                    <span className={`text-xs font-normal ml-2 ${THEME.TEXT_SECONDARY}`}>
+                      ({(deploymentResult.upload.durationMs / 1000).toFixed(1)}s, {deploymentResult.upload.retries} retries)
+                    </span>
+                  </div>
+                  {deploymentResult.upload.bytesReused > 0 && (
+                    <div className={`text-xs mt-1 ${THEME.TEXT_SECONDARY}`}>
+                      {formatSize(deploymentResult.upload.bytesUploaded)} uploaded, {formatSize(deploymentResult.upload.bytesReused)} reused
+                      ({deploymentResult.upload.copiedFiles} unchanged files)
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
             
             <button
@@ -0,0 +1,73 @@
+// CloudFront Function (runtime cloudfront-js-2.0) that serves the .br and .gz variants
+// uploaded for deployments with "compression": "on". Associate it with both the viewer
+// request and the viewer response event of the behavior serving the bucket, and with the
+// KeyValueStore named in the worker's CLOUDFRONT_KVS_ARN.
+//
+// Viewer request: rewrites /<deploymentId>/app.js to /<deploymentId>/app.js.br or .gz,
+// depending on Accept-Encoding, but only for deployments the worker listed in the
+// KeyValueStore after uploading their variants. Every other deployment is served as stored.
+// The rewritten URI is part of the cache key, so each encoding is cached separately.
+// Viewer response: adds Vary: Accept-Encoding, which S3 can't store on the objects.
+import cf from 'cloudfront';
+
+const kvs = cf.kvs();
+
+// Keep in sync with COMPRESSIBLE_EXTENSIONS and ENCODINGS in lib/deploy/compression.js
+const COMPRESSIBLE = /\.(html?|m?js|cjs|css|svg|json|webmanifest|wasm)$/i;
+const VARIANT = /\.(br|gz)$/;
+const ENCODINGS = [
+  { contentEncoding: 'br', extension: '.br' },
+  { contentEncoding: 'gzip', extension: '.gz' },
+];
+
+// Accepted encodings with a non-zero quality, e.g. "gzip, deflate, br;q=0.9"
+function acceptedEncodings(headers) {
+  const header = headers['accept-encoding'];
+  if (!header) return [];
+
+  return header.value.toLowerCase().split(',').filter((part) => {
+    const quality = part.match(/;\s*q=([0-9.]+)/);
+    return !quality || parseFloat(quality[1]) > 0;
+  }).map((part) => part.split(';')[0].trim());
+}
+
+// Encodings uploaded for a deployment, empty when it has no variants
+async function deploymentEncodings(deploymentId) {
+  try {
+    return (await kvs.get(deploymentId)).split(',');
+  } catch (e) {
+    return [];
+  }
+}
+
+async function onRequest(request) {
+  const uri = request.uri.endsWith('/') ? request.uri + 'index.html' : request.uri;
+  if (!COMPRESSIBLE.test(uri)) return request;
+
+  const accepted = acceptedEncodings(request.headers);
+  const wanted = ENCODINGS.filter((encoding) => accepted.indexOf(encoding.contentEncoding) !== -1);
+  const deploymentId = uri.split('/')[1];
+  if (wanted.length === 0 || !deploymentId) return request;
+
+  const available = await deploymentEncodings(deploymentId);
+  const encoding = wanted.find((candidate) => available.indexOf(candidate.contentEncoding) !== -1);
+  if (encoding) {
+    request.uri = uri + encoding.extension;
+  }
+  return request;
+}
+
+function onResponse(request, response) {
+  const uri = request.uri.replace(VARIANT, '');
+  if (response.headers['content-encoding'] || uri.endsWith('/') || COMPRESSIBLE.test(uri)) {
+    response.headers['vary'] = { value: 'Accept-Encoding' };
+  }
+  return response;
+}
+
+async function handler(event) {
+  if (event.context.eventType === 'viewer-response') {
+    return onResponse(event.request, event.response);
+  }
+  return onRequest(event.request);
+}
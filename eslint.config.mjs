@@ -12,6 +12,8 @@ const eslintConfig = defineConfig([
     "out/**",
     "build/**",
     "next-env.d.ts",
+    // CloudFront Functions run in CloudFront's own runtime, which calls `handler` itself
+    "cloudfront/**",
   ]),
 ]);
 
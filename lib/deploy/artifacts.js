@@ -0,0 +1,129 @@
+import fs from "fs";
+import path from "path";
+import { formatSize } from "./formatSize.js";
+
+const DEFAULT_MAX_FILE_BYTES = 50 * 1024 * 1024; // 50 MB
+const DEFAULT_MAX_TOTAL_BYTES = 1024 * 1024 * 1024; // 1 GB
+
+const ENTRY_FILE = "index.html";
+// Folders that only end up in the output by mistake and must never be public
+const FORBIDDEN_DIRECTORIES = ["node_modules", ".git"];
+const ENV_FILE_PATTERN = /^\.env(\..+)?$/;
+
+const MAX_PATHS_PER_ERROR = 5;
+const LARGEST_FILES = 10;
+
+function getLimits() {
+  return {
+    maxFileBytes: Number(process.env.ARTIFACT_MAX_FILE_BYTES) || DEFAULT_MAX_FILE_BYTES,
+    maxTotalBytes: Number(process.env.ARTIFACT_MAX_TOTAL_BYTES) || DEFAULT_MAX_TOTAL_BYTES,
+  };
+}
+
+/**
+ * Whether a file or folder name is never part of a site, used when a source folder is published as-is
+ */
+export function isNeverPublished(name) {
+  return FORBIDDEN_DIRECTORIES.includes(name) || ENV_FILE_PATTERN.test(name);
+}
+
+/**
+ * Files below a directory with their sizes. Forbidden folders are reported instead of walked,
+ * symbolic links are reported instead of followed.
+ */
+function collectFiles(rootDirectory) {
+  const files = [];
+  const forbidden = [];
+  const links = [];
+
+  const walk = (directory) => {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const entryPath = path.join(directory, entry.name);
+      const relativePath = path.relative(rootDirectory, entryPath).split(path.sep).join("/");
+
+      if (entry.isSymbolicLink()) {
+        links.push(relativePath);
+      } else if (entry.isDirectory()) {
+        if (FORBIDDEN_DIRECTORIES.includes(entry.name)) {
+          forbidden.push(`${relativePath}/`);
+        } else {
+          walk(entryPath);
+        }
+      } else if (entry.isFile()) {
+        if (ENV_FILE_PATTERN.test(entry.name)) forbidden.push(relativePath);
+        files.push({ path: relativePath, bytes: fs.lstatSync(entryPath).size });
+      }
+    }
+  };
+
+  walk(rootDirectory);
+  return { files, forbidden, links };
+}
+
+function listPaths(paths) {
+  const shown = paths.slice(0, MAX_PATHS_PER_ERROR).join(", ");
+  return paths.length > MAX_PATHS_PER_ERROR ? `${shown} (+${paths.length - MAX_PATHS_PER_ERROR} more)` : shown;
+}
+
+/**
+ * Totals, size per top-level folder (root files count as ".") and the largest files
+ */
+function buildSizeReport(files) {
+  const directories = new Map();
+  for (const file of files) {
+    const name = file.path.includes("/") ? file.path.split("/")[0] : ".";
+    const directory = directories.get(name) || { path: name, files: 0, bytes: 0 };
+    directory.files++;
+    directory.bytes += file.bytes;
+    directories.set(name, directory);
+  }
+
+  return {
+    totalFiles: files.length,
+    totalBytes: files.reduce((sum, file) => sum + file.bytes, 0),
+    directories: [...directories.values()].sort((a, b) => b.bytes - a.bytes),
+    largestFiles: [...files].sort((a, b) => b.bytes - a.bytes).slice(0, LARGEST_FILES),
+  };
+}
+
+/**
+ * Check that a directory looks like a deployable website before it is uploaded:
+ * an index.html at its root, no node_modules, .git or .env files, no symbolic links, and every file
+ * and the total within ARTIFACT_MAX_FILE_BYTES and ARTIFACT_MAX_TOTAL_BYTES
+ * @returns {{ errors: string[], report: { totalFiles: number, totalBytes: number, directories: object[], largestFiles: object[] } }}
+ */
+export function validateArtifacts(directory) {
+  const { maxFileBytes, maxTotalBytes } = getLimits();
+  const { files, forbidden, links } = collectFiles(directory);
+  const report = buildSizeReport(files);
+  const errors = [];
+
+  if (files.length === 0) {
+    errors.push("The output folder is empty");
+  } else if (!files.some((file) => file.path === ENTRY_FILE)) {
+    errors.push(`No ${ENTRY_FILE} at the root of the output folder`);
+  }
+
+  if (forbidden.length > 0) {
+    errors.push(`The output contains files that must not be published: ${listPaths(forbidden)}`);
+  }
+
+  // A link could point anywhere the worker can read, so none are published
+  if (links.length > 0) {
+    errors.push(`The output contains symbolic links, which are not published: ${listPaths(links)}`);
+  }
+
+  const oversized = files.filter((file) => file.bytes > maxFileBytes);
+  if (oversized.length > 0) {
+    errors.push(
+      `${oversized.length} file(s) exceed the ${formatSize(maxFileBytes)} per-file limit: ` +
+      listPaths(oversized.map((file) => `${file.path} (${formatSize(file.bytes)})`))
+    );
+  }
+
+  if (report.totalBytes > maxTotalBytes) {
+    errors.push(`The output is ${formatSize(report.totalBytes)}, over the ${formatSize(maxTotalBytes)} limit`);
+  }
+
+  return { errors, report };
+}
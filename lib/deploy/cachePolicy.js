@@ -0,0 +1,57 @@
+import path from "path";
+
+const DEFAULT_MAX_AGE_SECONDS = 3600;
+
+const REVALIDATE = "no-cache";
+const IMMUTABLE = "public, max-age=31536000, immutable";
+
+// Registered at a fixed URL, so a stale copy keeps serving the previous deploy
+const SERVICE_WORKER_NAMES = ["sw.js", "service-worker.js", "serviceworker.js", "registersw.js"];
+// Folders whose contents are fingerprinted by the framework even where file names aren't
+const IMMUTABLE_DIRECTORIES = ["_next/static/", "_astro/", "_app/immutable/"];
+
+// Inner extensions that follow the hash, e.g. CRA's 2.8d1e1c7b.chunk.js
+const INNER_EXTENSIONS = /\.(chunk|min)$/i;
+
+/**
+ * Whether a file name carries a content hash directly before its extension, e.g.
+ * index-BwB3bK9x.js, main.3f9a1c2e.css or 2.8d1e1c7b.chunk.js: a dot- or dash-separated
+ * last part of 8 or more characters that is hexadecimal with letters and digits, or
+ * base64url with at least two digits. Missing a hash only shortens caching, while
+ * mistaking a name like player2final.js for one serves a stale file for a year.
+ */
+export function isFingerprinted(fileName) {
+  const name = path.basename(fileName);
+  const stem = name.slice(0, name.length - path.extname(name).length).replace(INNER_EXTENSIONS, "");
+  const hash = stem.match(/[.-]([A-Za-z0-9_]{8,})$/)?.[1];
+  if (!hash) return false;
+
+  const digits = hash.replace(/\D/g, "").length;
+  if (/^[a-f0-9]+$/i.test(hash)) return digits > 0 && digits < hash.length;
+  return digits >= 2;
+}
+
+/**
+ * Default Cache-Control of an uploaded file. HTML and service workers revalidate on every
+ * request so a new deploy shows up at stable URLs; fingerprinted assets change name when
+ * they change, so they are cached forever; the rest is cached for CACHE_DEFAULT_MAX_AGE seconds.
+ * Header rules in deployer.json override it.
+ * @param {string} relativePath - Path inside the output folder
+ * @returns {{ policy: "revalidate"|"immutable"|"default", cacheControl: string }}
+ */
+export function defaultCachePolicy(relativePath) {
+  const filePath = relativePath.replace(/\\/g, "/");
+  const name = path.posix.basename(filePath).toLowerCase();
+  const extension = path.posix.extname(name);
+
+  if (extension === ".html" || extension === ".htm" || SERVICE_WORKER_NAMES.includes(name)) {
+    return { policy: "revalidate", cacheControl: REVALIDATE };
+  }
+  if (IMMUTABLE_DIRECTORIES.some((directory) => `/${filePath}`.includes(`/${directory}`)) || isFingerprinted(name)) {
+    return { policy: "immutable", cacheControl: IMMUTABLE };
+  }
+
+  const configured = process.env.CACHE_DEFAULT_MAX_AGE?.trim();
+  const maxAge = configured && /^\d+$/.test(configured) ? Number(configured) : DEFAULT_MAX_AGE_SECONDS;
+  return { policy: "default", cacheControl: `public, max-age=${maxAge}` };
+}
@@ -0,0 +1,50 @@
+import { UnrecoverableError } from "bullmq";
+import connection from "../redis.js";
+
+const CANCEL_CHANNEL = "deploy:cancel";
+const CANCEL_KEY_TTL = 24 * 3600; // Keep the flag as long as completed jobs are kept
+
+function cancelKey(jobId) {
+  return `deploy:cancelled:${jobId}`;
+}
+
+/**
+ * Thrown when a deployment is cancelled or runs past its timeout.
+ * Unrecoverable so BullMQ doesn't retry the job.
+ */
+export class DeploymentAbortedError extends UnrecoverableError {
+  constructor(message, reason) {
+    super(message);
+    this.name = "DeploymentAbortedError";
+    this.reason = reason; // "cancelled" | "timeout"
+  }
+}
+
+/**
+ * Flag a job as cancelled and notify the worker running it
+ */
+export async function requestCancellation(jobId) {
+  await connection.set(cancelKey(jobId), Date.now().toString(), "EX", CANCEL_KEY_TTL);
+  await connection.publish(CANCEL_CHANNEL, String(jobId));
+}
+
+export async function isCancellationRequested(jobId) {
+  return (await connection.exists(cancelKey(jobId))) === 1;
+}
+
+/**
+ * Listen for cancellation requests. Uses a dedicated connection because a
+ * subscribed Redis client can't run other commands.
+ */
+export function subscribeToCancellations(onCancel) {
+  const subscriber = connection.duplicate();
+
+  subscriber.subscribe(CANCEL_CHANNEL).catch((error) => {
+    console.error("Failed to subscribe to cancellations:", error.message);
+  });
+  subscriber.on("message", (channel, jobId) => {
+    if (channel === CANCEL_CHANNEL) onCancel(jobId);
+  });
+
+  return subscriber;
+}
@@ -0,0 +1,93 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+
+export const COMPRESSION_MODES = ["on", "off"];
+
+// Text formats worth compressing; images, fonts and video are compressed already
+const COMPRESSIBLE_EXTENSIONS = [".html", ".htm", ".js", ".mjs", ".cjs", ".css", ".svg", ".json", ".webmanifest", ".wasm"];
+
+/**
+ * Variants uploaded next to each compressible file, in the order the routing function prefers them
+ */
+export const ENCODINGS = [
+  { contentEncoding: "br", extension: ".br" },
+  { contentEncoding: "gzip", extension: ".gz" },
+];
+
+/**
+ * Mode for a deployment: its setting, else COMPRESSION, else "off"
+ */
+export function resolveCompression(configured) {
+  const mode = configured || process.env.COMPRESSION || "off";
+  return COMPRESSION_MODES.includes(mode) ? mode : "off";
+}
+
+export function isCompressible(relativePath) {
+  return COMPRESSIBLE_EXTENSIONS.includes(path.extname(relativePath).toLowerCase());
+}
+
+function createEncoder(contentEncoding, relativePath, size) {
+  if (contentEncoding === "gzip") {
+    return zlib.createGzip({ level: zlib.constants.Z_BEST_COMPRESSION });
+  }
+  return zlib.createBrotliCompress({
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+      [zlib.constants.BROTLI_PARAM_MODE]: relativePath.toLowerCase().endsWith(".wasm")
+        ? zlib.constants.BROTLI_MODE_GENERIC
+        : zlib.constants.BROTLI_MODE_TEXT,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+    },
+  });
+}
+
+/**
+ * Write a Brotli and a gzip variant of every compressible file below `sourceDirectory` into
+ * `targetDirectory`, at the same relative path plus .br / .gz. Every compressible file gets
+ * both variants, even when they come out larger, because the routing function rewrites
+ * requests by extension and can't check whether a variant exists. Files whose variant
+ * name is already taken by a file in the output are skipped.
+ * @param {string} sourceDirectory
+ * @param {string[]} relativePaths - Files of the output, relative to sourceDirectory with forward slashes
+ * @param {string} targetDirectory
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ variants: Array<{ filePath: string, relativePath: string, originalPath: string, contentEncoding: string }>,
+ *   skipped: string[], files: number, originalBytes: number, brotliBytes: number, gzipBytes: number }>}
+ */
+export async function compressArtifacts(sourceDirectory, relativePaths, targetDirectory, { signal } = {}) {
+  const existing = new Set(relativePaths);
+  const report = { variants: [], skipped: [], files: 0, originalBytes: 0, brotliBytes: 0, gzipBytes: 0 };
+
+  for (const relativePath of relativePaths.filter(isCompressible)) {
+    if (ENCODINGS.some((encoding) => existing.has(`${relativePath}${encoding.extension}`))) {
+      report.skipped.push(relativePath);
+      continue;
+    }
+
+    const sourcePath = path.join(sourceDirectory, relativePath);
+    const size = fs.statSync(sourcePath).size;
+    await fsPromises.mkdir(path.dirname(path.join(targetDirectory, relativePath)), { recursive: true });
+
+    for (const { contentEncoding, extension } of ENCODINGS) {
+      const variantPath = `${relativePath}${extension}`;
+      const filePath = path.join(targetDirectory, variantPath);
+      await pipeline(
+        fs.createReadStream(sourcePath),
+        createEncoder(contentEncoding, relativePath, size),
+        fs.createWriteStream(filePath),
+        { signal }
+      );
+
+      report.variants.push({ filePath, relativePath: variantPath, originalPath: relativePath, contentEncoding });
+      report[contentEncoding === "br" ? "brotliBytes" : "gzipBytes"] += fs.statSync(filePath).size;
+    }
+
+    report.files++;
+    report.originalBytes += size;
+  }
+
+  return report;
+}
@@ -0,0 +1,30 @@
+// KeyValueStore requests are signed with SigV4A; this registers the JavaScript implementation
+import "@aws-sdk/signature-v4a";
+import { DescribeKeyValueStoreCommand, PutKeyCommand } from "@aws-sdk/client-cloudfront-keyvaluestore";
+import { ENCODINGS } from "./compression.js";
+
+// Writes to the store are conditional on its ETag, so concurrent deployments can collide
+const MARKER_ATTEMPTS = 3;
+
+/**
+ * Record in the CloudFront KeyValueStore that a deployment's variants are uploaded. The
+ * routing function only rewrites requests for deployments listed there, so deployments
+ * without variants keep being served their original files.
+ * @param {import("@aws-sdk/client-cloudfront-keyvaluestore").CloudFrontKeyValueStoreClient} kvs
+ * @param {string} kvsArn - CLOUDFRONT_KVS_ARN
+ * @param {string} deploymentId
+ */
+export async function markCompressedDeployment(kvs, kvsArn, deploymentId) {
+  const value = ENCODINGS.map((encoding) => encoding.contentEncoding).join(",");
+
+  for (let attempt = 1; ; attempt++) {
+    const { ETag } = await kvs.send(new DescribeKeyValueStoreCommand({ KvsARN: kvsArn }));
+    try {
+      await kvs.send(new PutKeyCommand({ KvsARN: kvsArn, Key: deploymentId, Value: value, IfMatch: ETag }));
+      return;
+    } catch (error) {
+      const conflict = error.name === "ConflictException" || error.$metadata?.httpStatusCode === 412;
+      if (!conflict || attempt >= MARKER_ATTEMPTS) throw error;
+    }
+  }
+}
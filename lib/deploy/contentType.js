@@ -0,0 +1,35 @@
+import path from "path";
+import mime from "mime-types";
+
+const DEFAULT_CONTENT_TYPE = "application/octet-stream";
+// Text formats the MIME database registers without a default charset
+const UTF8_TYPES = /^(text\/|application\/(javascript|xml)$|image\/svg\+xml$)|\+(json|xml)$/;
+
+/**
+ * Add "; charset=utf-8" to text types that don't carry parameters yet
+ */
+function withCharset(type) {
+  if (type.includes(";")) return type;
+  return mime.charset(type) || UTF8_TYPES.test(type) ? `${type}; charset=utf-8` : type;
+}
+
+/**
+ * Content-Type of a file by its extension, from the full MIME database
+ */
+export function contentTypeFor(filePath) {
+  return withCharset(mime.lookup(filePath) || DEFAULT_CONTENT_TYPE);
+}
+
+/**
+ * Content-Type resolver with a project's overrides, e.g. { ".glb": "model/gltf-binary" }
+ * from "contentTypes" in deployer.json. Overrides get the same charset handling.
+ * @param {Object<string, string>} [overrides] - Extension (with the dot) to MIME type
+ * @returns {(filePath: string) => string}
+ */
+export function createContentTypeResolver(overrides = {}) {
+  const byExtension = new Map(
+    Object.entries(overrides).map(([extension, type]) => [extension.toLowerCase(), withCharset(type.trim())])
+  );
+
+  return (filePath) => byExtension.get(path.extname(filePath).toLowerCase()) || contentTypeFor(filePath);
+}
@@ -0,0 +1,303 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024 * 1024; // 10 GB
+
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 60 * 1000;
+// The lock is only held to read and write the index and rename stores, never during an install
+const STALE_LOCK_MS = 30 * 1000;
+// A job that died without releasing its entry stops protecting it after this long
+const HOLDER_TTL_MS = 3 * 60 * 60 * 1000;
+
+let indexLock = Promise.resolve();
+
+function getCacheRoot() {
+  return process.env.DEPENDENCY_CACHE_DIR || path.join(process.cwd(), "cache", "dependencies");
+}
+
+function getMaxBytes() {
+  return Number(process.env.DEPENDENCY_CACHE_MAX_BYTES) || DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Take the lock file next to the index. It is created with O_EXCL, so only one process
+ * (the worker or the web app) holds it; a lock left behind by a crashed process is broken
+ * once it is older than STALE_LOCK_MS.
+ */
+async function acquireFileLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      await fsPromises.writeFile(lockPath, `${process.pid}\n`, { flag: "wx" });
+      return;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    const stats = await fsPromises.stat(lockPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+      // Only break the lock that was found stale, not one another process just took
+      const current = await fsPromises.stat(lockPath).catch(() => null);
+      if (current?.ino === stats.ino) {
+        await fsPromises.rm(lockPath, { force: true });
+      }
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for the dependency cache lock ${lockPath}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+/**
+ * Serialize index updates across jobs and processes so they don't overwrite each other.
+ * `update` gets the index and a `discard(directory)` that moves a store out of the way
+ * while the lock is held; the moved stores are deleted after the lock is released.
+ */
+function withIndex(update) {
+  const run = indexLock.then(async () => {
+    const root = getCacheRoot();
+    const indexPath = path.join(root, "index.json");
+    const lockPath = path.join(root, "index.lock");
+    const discarded = [];
+
+    const discard = async (directory) => {
+      const trashPath = path.join(root, ".trash", `${path.basename(directory)}-${crypto.randomUUID()}`);
+      await fsPromises.mkdir(path.dirname(trashPath), { recursive: true });
+      try {
+        await fsPromises.rename(directory, trashPath);
+        discarded.push(trashPath);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    };
+
+    await fsPromises.mkdir(root, { recursive: true });
+    await acquireFileLock(lockPath);
+    let result;
+    try {
+      let index = { entries: {}, holders: {} };
+      try {
+        index = JSON.parse(await fsPromises.readFile(indexPath, "utf8"));
+      } catch {
+        // Missing or corrupt index - start fresh
+      }
+      index.holders ??= {};
+
+      result = await update(index, discard);
+
+      const temporaryPath = `${indexPath}.${process.pid}.tmp`;
+      await fsPromises.writeFile(temporaryPath, JSON.stringify(index, null, 2), "utf8");
+      await fsPromises.rename(temporaryPath, indexPath);
+    } finally {
+      await fsPromises.rm(lockPath, { force: true });
+    }
+
+    await Promise.all(discarded.map((trashPath) => fsPromises.rm(trashPath, { recursive: true, force: true })));
+    return result;
+  });
+
+  indexLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Jobs currently using a store, except ones claimed so long ago that their job must have died
+ */
+function liveHolders(index, key) {
+  const now = Date.now();
+  return (index.holders[key] || []).filter((holder) => now - holder.since < HOLDER_TTL_MS);
+}
+
+function setHolders(index, key, holders) {
+  if (holders.length > 0) {
+    index.holders[key] = holders;
+  } else {
+    delete index.holders[key];
+  }
+}
+
+async function directorySize(directory) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fsPromises.readdir(directory, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += (await fsPromises.stat(entryPath)).size;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Remove least recently used entries until the cache fits under the size cap
+ */
+async function evict(index, discard, protectedKey) {
+  const maxBytes = getMaxBytes();
+  const evicted = [];
+  let total = Object.values(index.entries).reduce((sum, entry) => sum + entry.size, 0);
+
+  const candidates = Object.entries(index.entries)
+    .filter(([key]) => key !== protectedKey && liveHolders(index, key).length === 0)
+    .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+
+  for (const [key, entry] of candidates) {
+    if (total <= maxBytes) break;
+    await discard(path.join(getCacheRoot(), key));
+    delete index.entries[key];
+    total -= entry.size;
+    evicted.push(key);
+  }
+
+  return evicted;
+}
+
+/**
+ * Compute the cache key for a lockfile, package manager and Node version.
+ * Returns null when there is no lockfile, since unpinned installs can't be cached safely.
+ */
+export function computeCacheKey({ lockfilePath, packageManager, nodeVersion = process.version }) {
+  if (!lockfilePath || !fs.existsSync(lockfilePath)) return null;
+
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(lockfilePath))
+    .update(`\0${packageManager}\0${nodeVersion}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+/**
+ * Environment variables that point a package manager at a store directory
+ */
+function storeEnv(packageManager, storeDirectory) {
+  switch (packageManager) {
+    case "pnpm":
+      return { npm_config_store_dir: storeDirectory };
+    case "yarn":
+      return { YARN_CACHE_FOLDER: storeDirectory, YARN_ENABLE_GLOBAL_CACHE: "false" };
+    case "bun":
+      return { BUN_INSTALL_CACHE_DIR: storeDirectory };
+    default:
+      return { npm_config_cache: storeDirectory, npm_config_prefer_offline: "true" };
+  }
+}
+
+/**
+ * Claim the cache entry for a key. On a hit the package manager store is reused
+ * as-is; on a miss an empty store is created and filled by the install. Jobs that
+ * miss on a key another job is still installing share its store instead of wiping it.
+ * @returns {Promise<{ key: string, holder: string, hit: boolean, directory: string, env: object }>}
+ */
+export async function acquireDependencyCache(key, packageManager) {
+  const storeDirectory = path.join(getCacheRoot(), key);
+  const holder = crypto.randomUUID();
+
+  const hit = await withIndex(async (index, discard) => {
+    const holders = liveHolders(index, key);
+    setHolders(index, key, [...holders, { id: holder, since: Date.now() }]);
+
+    const entry = index.entries[key];
+    if (entry && fs.existsSync(storeDirectory)) {
+      entry.lastUsed = Date.now();
+      return true;
+    }
+
+    delete index.entries[key];
+    if (holders.length === 0) {
+      await discard(storeDirectory);
+    }
+    await fsPromises.mkdir(storeDirectory, { recursive: true });
+    return false;
+  });
+
+  return { key, holder, hit, directory: storeDirectory, env: storeEnv(packageManager, storeDirectory) };
+}
+
+/**
+ * Record the store after an install and evict old entries past the size cap.
+ * A failed install discards a store that was never recorded once no other job
+ * uses it, so it can't poison later builds.
+ * @returns {Promise<string[]>} keys evicted to make room
+ */
+export async function releaseDependencyCache(cache, { success, packageManager, nodeVersion }) {
+  const storeDirectory = path.join(getCacheRoot(), cache.key);
+  const size = success ? await directorySize(storeDirectory) : 0;
+
+  return withIndex(async (index, discard) => {
+    const holders = liveHolders(index, cache.key).filter((holder) => holder.id !== cache.holder);
+    setHolders(index, cache.key, holders);
+
+    if (!success) {
+      if (!index.entries[cache.key] && holders.length === 0) {
+        await discard(storeDirectory);
+      }
+      return [];
+    }
+
+    const now = Date.now();
+    index.entries[cache.key] = {
+      size,
+      packageManager,
+      nodeVersion,
+      created: index.entries[cache.key]?.created || now,
+      lastUsed: now,
+    };
+    return evict(index, discard, cache.key);
+  });
+}
+
+/**
+ * Summary of the cache contents
+ */
+export async function getDependencyCacheStats() {
+  return withIndex(async (index) => {
+    const entries = Object.entries(index.entries).map(([key, entry]) => ({
+      key,
+      ...entry,
+      inUse: liveHolders(index, key).length,
+    }));
+    return {
+      directory: getCacheRoot(),
+      maxBytes: getMaxBytes(),
+      totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries: entries.sort((a, b) => b.lastUsed - a.lastUsed),
+    };
+  });
+}
+
+/**
+ * Delete one cache entry, or the whole cache when no key is given.
+ * Entries a job is using are kept.
+ * @returns {Promise<string[]>} keys that were removed
+ */
+export async function purgeDependencyCache(key) {
+  return withIndex(async (index, discard) => {
+    const keys = key ? [key] : Object.keys(index.entries);
+    const purged = [];
+
+    for (const entryKey of keys) {
+      if (!index.entries[entryKey] || liveHolders(index, entryKey).length > 0) continue;
+      await discard(path.join(getCacheRoot(), entryKey));
+      delete index.entries[entryKey];
+      purged.push(entryKey);
+    }
+
+    return purged;
+  });
+}
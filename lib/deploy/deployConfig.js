@@ -0,0 +1,215 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import picomatch from "picomatch";
+
+export const CONFIG_FILE_NAME = "deployer.json";
+
+// Settings a deployment request can override, in the order they're logged
+const OVERRIDABLE_FIELDS = [
+  "buildPath",
+  "framework",
+  "preInstall",
+  "installCommand",
+  "preBuild",
+  "buildCommand",
+  "postBuild",
+  "outputDirectory",
+  "nodeVersion",
+  "secretScan",
+  "compression",
+];
+
+// Headers S3 can store on an object, mapped to PutObjectCommand parameters
+const S3_HEADER_PARAMS = {
+  "cache-control": "CacheControl",
+  "content-type": "ContentType",
+  "content-disposition": "ContentDisposition",
+  "content-language": "ContentLanguage",
+  "content-encoding": "ContentEncoding",
+  "expires": "Expires",
+};
+
+let cachedSchema = null;
+
+/**
+ * The JSON schema is served from public/ so repos can reference it with "$schema".
+ * It is located relative to this module, whatever directory the worker was started from.
+ */
+function loadSchema() {
+  if (!cachedSchema) {
+    const schemaUrl = new URL("../../public/deployer.schema.json", import.meta.url);
+    cachedSchema = JSON.parse(fs.readFileSync(schemaUrl, "utf8"));
+  }
+  return cachedSchema;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by deployer.schema.json
+ * @returns {string[]} human readable errors, empty when valid
+ */
+function validate(value, schema, location = "") {
+  const at = location || "config";
+  const errors = [];
+
+  if (schema.type && typeOf(value) !== schema.type) {
+    return [`${at}: expected ${schema.type}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.maxLength && value.length > schema.maxLength) {
+      errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, `${location}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childLocation = location ? `${location}.${key}` : key;
+
+      if (schema.propertyNames) {
+        errors.push(...validate(key, schema.propertyNames, `${childLocation} (name)`));
+      }
+
+      if (schema.properties?.[key]) {
+        errors.push(...validate(child, schema.properties[key], childLocation));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unknown property "${key}"`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(child, schema.additionalProperties, childLocation));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read and validate deployer.json from a directory
+ * @returns {Promise<{ file: string, config: object } | null>} null when the directory has no config file
+ * @throws {Error} with an `errors` array when the file is invalid
+ */
+export async function loadDeployConfig(directory, rootDirectory = directory) {
+  const configPath = path.join(directory, CONFIG_FILE_NAME);
+  const file = path.relative(rootDirectory, configPath);
+
+  if (!fs.existsSync(configPath)) return null;
+
+  let config;
+  try {
+    config = JSON.parse(await fsPromises.readFile(configPath, "utf8"));
+  } catch (error) {
+    const invalid = new Error(`${file} is not valid JSON: ${error.message}`);
+    invalid.errors = [error.message];
+    throw invalid;
+  }
+
+  const errors = validate(config, loadSchema());
+  if (errors.length > 0) {
+    const invalid = new Error(`${file} is invalid: ${errors.join("; ")}`);
+    invalid.errors = errors;
+    throw invalid;
+  }
+
+  delete config.$schema;
+  return { file, config };
+}
+
+/**
+ * Merge configs from lowest to highest precedence. Empty strings in a
+ * later source (e.g. blank fields on the deploy page) don't override.
+ */
+export function mergeDeployConfig(...sources) {
+  const merged = { env: [], redirects: [], headers: [], contentTypes: {} };
+
+  for (const source of sources) {
+    if (!source) continue;
+
+    for (const field of OVERRIDABLE_FIELDS) {
+      const value = source[field];
+      if (typeof value === "string" && value.trim() !== "") {
+        merged[field] = value.trim();
+      }
+    }
+
+    for (const field of ["env", "redirects", "headers"]) {
+      if (Array.isArray(source[field]) && source[field].length > 0) {
+        merged[field] = source[field];
+      }
+    }
+
+    // Merged per extension, so a build path config can add to the root one
+    if (typeOf(source.contentTypes) === "object") {
+      Object.assign(merged.contentTypes, source.contentTypes);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Lines describing the effective config for the job log
+ */
+export function describeDeployConfig(config) {
+  const lines = OVERRIDABLE_FIELDS
+    .filter((field) => config[field])
+    .map((field) => `  ${field}: ${config[field]}`);
+
+  if (config.env.length > 0) lines.push(`  env: ${config.env.join(", ")}`);
+  if (config.redirects.length > 0) lines.push(`  redirects: ${config.redirects.length} rule(s)`);
+  if (config.headers.length > 0) lines.push(`  headers: ${config.headers.length} rule(s)`);
+  if (Object.keys(config.contentTypes).length > 0) {
+    lines.push(`  contentTypes: ${Object.entries(config.contentTypes).map(([extension, type]) => `${extension}=${type}`).join(", ")}`);
+  }
+
+  return lines.length > 0 ? lines : ["  (all defaults)"];
+}
+
+/**
+ * Compile header rules into a matcher returning PutObjectCommand parameters for a file
+ * @param {Array<{ source: string, headers: object }>} rules
+ * @returns {(relativePath: string) => object}
+ */
+export function createHeaderResolver(rules = []) {
+  const compiled = rules.map((rule) => ({
+    matches: picomatch(rule.source.replace(/^\//, ""), { dot: true }),
+    headers: rule.headers,
+  }));
+
+  return (relativePath) => {
+    const params = {};
+    const filePath = relativePath.replace(/\\/g, "/");
+
+    for (const rule of compiled) {
+      if (!rule.matches(filePath)) continue;
+
+      for (const [name, value] of Object.entries(rule.headers)) {
+        const param = S3_HEADER_PARAMS[name.toLowerCase()];
+        if (param) params[param] = param === "Expires" ? new Date(value) : value;
+      }
+    }
+
+    return params;
+  };
+}
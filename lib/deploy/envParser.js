@@ -0,0 +1,141 @@
+// KEY=value or KEY: value, optionally prefixed with "export" - the forms dotenv accepts
+const LINE_PATTERN = /^\s*(?:export\s+)?([\w.-]+)(?:\s*=|:\s)\s*(.*)$/;
+const QUOTES = ["'", '"', "`"];
+const MAX_VARIABLES = 500;
+
+// The only escapes dotenv expands inside double quotes; other backslashes are kept
+const ESCAPES = { n: "\n", r: "\r" };
+
+/**
+ * Find the quote closing a value the way dotenv's pattern does. A quote after a backslash
+ * may belong to the value, so every quote up to the first one without a backslash can close
+ * it; the last of them that leaves only a comment on its line wins.
+ * @returns {{ closing: number, unescaped: number }} indexes in `text`, -1 when there is none
+ */
+function findClosingQuote(text, quote) {
+  const candidates = [];
+  let unescaped = -1;
+  for (let index = 0; index < text.length && unescaped === -1; index++) {
+    if (text[index] !== quote) continue;
+    candidates.push(index);
+    if (text[index - 1] !== "\\") unescaped = index;
+  }
+
+  const closing = candidates.reverse().find((candidate) => {
+    const rest = text.slice(candidate + 1).split("\n")[0].trim();
+    return !rest || rest.startsWith("#");
+  });
+  return { closing: closing ?? -1, unescaped };
+}
+
+/**
+ * A value as written to an env file so dotenv reads it back unchanged, or null when that's
+ * impossible. dotenv has no escape for quotes and expands \n and \r in double quotes, so
+ * the quote must be one the value doesn't contain; without one, the value is only written
+ * bare when dotenv wouldn't trim it, cut it at a "#" or take it for a quoted one.
+ */
+function formatValue(value) {
+  if (/^[^\s#'"`]*$/.test(value)) return value;
+  const hasEscapes = /\\[nr]/.test(value);
+
+  // dotenv reads a carriage return in the file as a line break, so it can only be written as \r
+  if (value.includes("\r")) {
+    return value.includes('"') || hasEscapes ? null : `"${value.replace(/\r/g, "\\r")}"`;
+  }
+
+  const quote = QUOTES.find((candidate) => !value.includes(candidate) && !(candidate === '"' && hasEscapes));
+  if (quote) return `${quote}${value}${quote}`;
+  return /^(?![\s'"`])[^#\n]*(?<!\s)$/.test(value) ? value : null;
+}
+
+/**
+ * Parse env file text the way dotenv does: `export` prefixes, `#` comments, single,
+ * double and backtick quoted values (which may span lines) and \n and \r escapes in
+ * double quotes. A repeated key overrides the earlier one.
+ * Unlike dotenv, lines it would silently skip are reported, as are values formatEnvFile
+ * can't write back.
+ * @returns {{ variables: Object<string, string>, errors: Array<{ line: number, message: string }> }}
+ *   line numbers are 1-based
+ */
+export function parseEnv(text) {
+  const variables = {};
+  const errors = [];
+  const lines = String(text || "").split(/\r\n|\n|\r/);
+
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const line = lines[index];
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    const match = line.match(LINE_PATTERN);
+    if (!match) {
+      const name = line.split("=")[0].replace(/^\s*export\s+/, "").trim();
+      errors.push({
+        line: lineNumber,
+        message: line.includes("=") ? `"${name}" is not a valid variable name` : "Expected KEY=value",
+      });
+      continue;
+    }
+
+    const [, key, rawValue] = match;
+    const quote = QUOTES.find((candidate) => rawValue.startsWith(candidate));
+    let value;
+
+    if (quote) {
+      // Quoted values may continue over the following lines
+      const body = [rawValue.slice(1), ...lines.slice(index + 1)].join("\n");
+      const { closing, unescaped } = findClosingQuote(body, quote);
+      const lineOf = (position) => index + body.slice(0, position).split("\n").length;
+
+      if (closing === -1 && unescaped === -1) {
+        errors.push({ line: lineNumber, message: `${key}: missing closing ${quote} quote` });
+        break;
+      }
+      if (closing === -1) {
+        index = lineOf(unescaped) - 1;
+        errors.push({ line: index + 1, message: `${key}: unexpected text after the closing ${quote} quote` });
+        continue;
+      }
+      index = lineOf(closing) - 1;
+
+      value = body.slice(0, closing);
+      if (quote === '"') {
+        value = value.replace(/\\([nr])/g, (escape, character) => ESCAPES[character]);
+      }
+    } else {
+      // Unquoted values end at a comment
+      value = rawValue.replace(/\s*#.*$/, "").trim();
+    }
+
+    if (formatValue(value) === null) {
+      errors.push({
+        line: lineNumber,
+        message: `${key}: the value can't be written to a .env file, since it contains ', " and \` (or a carriage return with " or a literal \\n or \\r)`,
+      });
+      continue;
+    }
+
+    variables[key] = value;
+  }
+
+  if (Object.keys(variables).length > MAX_VARIABLES) {
+    errors.push({ line: lines.length, message: `At most ${MAX_VARIABLES} variables are allowed` });
+  }
+
+  return { variables, errors };
+}
+
+/**
+ * Serialize variables into an env file that dotenv and framework loaders read back unchanged.
+ * Throws for a value no quote can hold; parseEnv reports those up front.
+ */
+export function formatEnvFile(variables) {
+  const lines = Object.entries(variables).map(([key, value]) => {
+    const formatted = formatValue(value);
+    if (formatted === null) {
+      throw new Error(`${key} can't be written to a .env file: no quote keeps its value unchanged`);
+    }
+    return `${key}=${formatted}`;
+  });
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
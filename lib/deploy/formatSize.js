@@ -0,0 +1,14 @@
+const UNITS = ["B", "KB", "MB", "GB", "TB"];
+
+/**
+ * Human readable byte count, e.g. 1536 -> "1.5 KB". Used by the worker and the deploy page.
+ */
+export function formatSize(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : Number(value.toFixed(1))} ${UNITS[unit]}`;
+}
@@ -0,0 +1,250 @@
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { runStreamed } from "./runCommand.js";
+
+const execFileAsync = promisify(execFile);
+
+const MAX_COMMIT_MESSAGE_LENGTH = 2000;
+
+const MAX_REF_LENGTH = 255;
+const MAX_URL_LENGTH = 2048;
+const FULL_SHA_PATTERN = /^([0-9a-f]{40}|[0-9a-f]{64})$/i;
+// git's default abbreviation is 7 characters
+const SHORT_SHA_PATTERN = /^[0-9a-f]{7,63}$/i;
+// owner/repo with optional nested groups (GitLab) and .git suffix
+const REPO_PATH_PATTERN = /^(\/[\w.~-]+){2,}\/?$/;
+
+// Where repositories may be cloned from, e.g. GIT_ALLOWED_HOSTS=github.com,gitlab.example.com
+const ALLOWED_HOSTS = (process.env.GIT_ALLOWED_HOSTS || "github.com")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+const ALLOWED_PROTOCOLS = (process.env.GIT_ALLOWED_PROTOCOLS || "https")
+  .split(",")
+  .map((protocol) => protocol.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Whether a repository URL uses an allowed protocol and host and carries nothing
+ * but a repository path (no credentials, query or fragment)
+ */
+export function isValidRepoUrl(repoUrl) {
+  if (typeof repoUrl !== "string" || repoUrl.length > MAX_URL_LENGTH) return false;
+
+  let url;
+  try {
+    url = new URL(repoUrl);
+  } catch {
+    return false;
+  }
+
+  return (
+    ALLOWED_PROTOCOLS.includes(url.protocol.slice(0, -1)) &&
+    ALLOWED_HOSTS.includes(url.host.toLowerCase()) &&
+    !url.username &&
+    !url.password &&
+    !url.search &&
+    !url.hash &&
+    REPO_PATH_PATTERN.test(url.pathname)
+  );
+}
+
+/**
+ * Whether a string is a full commit SHA or a ref name git accepts (`git check-ref-format
+ * --allow-onelevel`). Names starting with "-" are rejected as well so they can't pass for options.
+ * Abbreviated SHAs are rejected too, since a shallow fetch only accepts full ones.
+ */
+export function isValidGitRef(ref) {
+  return gitRefError(ref) === null;
+}
+
+/**
+ * Why a ref can't be fetched, or null when it can
+ */
+export function gitRefError(ref) {
+  const invalid = `"${ref}" is not a valid branch, tag or commit SHA`;
+  if (typeof ref !== "string" || ref.length === 0 || ref.length > MAX_REF_LENGTH) return invalid;
+  if (FULL_SHA_PATTERN.test(ref)) return null;
+  if (SHORT_SHA_PATTERN.test(ref)) {
+    return `"${ref}" looks like an abbreviated commit SHA. Use the full 40-character SHA, since a shallow fetch can't resolve short ones`;
+  }
+
+  const hasForbiddenCharacter = [...ref].some((character) => {
+    const code = character.charCodeAt(0);
+    return code <= 0x20 || code === 0x7f || "~^:?*[\\".includes(character);
+  });
+  if (hasForbiddenCharacter) return invalid;
+
+  if (ref === "@" || ref.startsWith("-") || ref.startsWith("/") || ref.endsWith("/") || ref.endsWith(".")) return invalid;
+  if (ref.includes("..") || ref.includes("@{") || ref.includes("//")) return invalid;
+
+  return ref.split("/").every((component) => !component.startsWith(".") && !component.endsWith(".lock")) ? null : invalid;
+}
+
+/**
+ * Environment for every git process: only allowed transports (this also covers
+ * submodule URLs, blocking ext:: and file://) and never an interactive prompt
+ */
+function gitEnvironment(env) {
+  return {
+    ...env,
+    GIT_ALLOW_PROTOCOL: ALLOWED_PROTOCOLS.join(":"),
+    GIT_TERMINAL_PROMPT: "0",
+  };
+}
+
+/**
+ * Append entries to the GIT_CONFIG_* variables of an environment, keeping existing ones
+ */
+function withGitConfig(env, entries) {
+  const count = Number(env.GIT_CONFIG_COUNT) || 0;
+  const result = { ...env, GIT_CONFIG_COUNT: String(count + entries.length) };
+  entries.forEach(([key, value], index) => {
+    result[`GIT_CONFIG_KEY_${count + index}`] = key;
+    result[`GIT_CONFIG_VALUE_${count + index}`] = value;
+  });
+  return result;
+}
+
+async function git(args, { cwd, env, signal }) {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd,
+    env: gitEnvironment(env),
+    signal,
+    maxBuffer: 1024 * 1024,
+  });
+  return stdout.trim();
+}
+
+/**
+ * Name of the branch the remote's HEAD points at, or null if the server doesn't say
+ */
+async function readDefaultBranch(directory, options) {
+  try {
+    const output = await git(["ls-remote", "--symref", "origin", "HEAD"], { cwd: directory, ...options });
+    const match = output.match(/^ref:\s+refs\/heads\/(\S+)\s+HEAD/m);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a single branch, tag or full commit SHA with depth 1 into an empty
+ * directory and check it out. Without a ref the remote's default branch is used.
+ * @returns {Promise<{ ref: string, defaultBranch: string|null }>}
+ */
+export async function shallowCheckout({ repoUrl, ref, directory, env, log, signal }) {
+  // Checked again here because jobs can be queued by anything with Redis access
+  if (!isValidRepoUrl(repoUrl)) {
+    throw new Error("Repository URL is not on an allowed host and protocol");
+  }
+  const refError = ref ? gitRefError(ref) : null;
+  if (refError) {
+    throw new Error(refError);
+  }
+
+  // LFS files are pulled explicitly (pullLfsObjects), not by the checkout filter
+  const options = { cwd: directory, env: gitEnvironment({ ...env, GIT_LFS_SKIP_SMUDGE: "1" }), log, signal };
+
+  await runStreamed(["git", "init", "--quiet", "--end-of-options", directory], { ...options, cwd: undefined, label: "Clone" });
+  await runStreamed(["git", "remote", "add", "--end-of-options", "origin", repoUrl], { ...options, label: "Clone" });
+
+  const defaultBranch = ref ? null : await readDefaultBranch(directory, { env, signal });
+  await runStreamed(["git", "fetch", "--depth", "1", "--no-tags", "--end-of-options", "origin", ref || "HEAD"], {
+    ...options,
+    label: `Fetch of ${ref || "the default branch"}`,
+  });
+  await runStreamed(["git", "checkout", "--quiet", "--detach", "FETCH_HEAD"], { ...options, label: "Checkout" });
+
+  return { ref: ref || defaultBranch || "HEAD", defaultBranch };
+}
+
+/**
+ * Provenance of the checked out commit
+ * @returns {Promise<{ sha: string, shortSha: string, message: string, author: { name: string, email: string }, date: string }>}
+ */
+export async function readHeadCommit(directory) {
+  // Fields separated by NUL so messages containing newlines survive
+  const output = await git(["log", "-1", "--format=%H%x00%h%x00%an%x00%ae%x00%aI%x00%B"], { cwd: directory });
+  const [sha, shortSha, name, email, date, ...message] = output.split("\0");
+
+  return {
+    sha,
+    shortSha,
+    message: message.join("\0").trim().slice(0, MAX_COMMIT_MESSAGE_LENGTH),
+    author: { name, email },
+    date,
+  };
+}
+
+export function hasSubmodules(directory) {
+  return fs.existsSync(path.join(directory, ".gitmodules"));
+}
+
+/**
+ * Whether .gitattributes at the root of the repository or one of its submodules routes files through LFS
+ */
+export function usesLfs(directory, submodules = []) {
+  return [directory, ...submodules.map((submodule) => path.join(directory, submodule.path))].some((root) => {
+    const attributesPath = path.join(root, ".gitattributes");
+    return fs.existsSync(attributesPath) && /\bfilter=lfs\b/.test(fs.readFileSync(attributesPath, "utf8"));
+  });
+}
+
+/**
+ * Check out submodules recursively at depth 1. SSH GitHub URLs are rewritten to
+ * HTTPS so the credential in `env` applies to them as well.
+ * @returns {Promise<Array<{ path: string, sha: string }>>}
+ */
+export async function fetchSubmodules({ directory, env, log, signal }) {
+  const submoduleEnv = withGitConfig(gitEnvironment({ ...env, GIT_LFS_SKIP_SMUDGE: "1" }), [
+    ["url.https://github.com/.insteadOf", "git@github.com:"],
+    ["url.https://github.com/.insteadOf", "ssh://git@github.com/"],
+  ]);
+
+  await runStreamed(["git", "submodule", "update", "--init", "--recursive", "--depth", "1", "--jobs", "4"], {
+    cwd: directory,
+    env: submoduleEnv,
+    log,
+    label: "Submodule checkout",
+    signal,
+  });
+
+  const status = await git(["submodule", "status", "--recursive"], { cwd: directory, env, signal });
+  return status
+    .split("\n")
+    .map((line) => line.trim().match(/^[-+U]?([0-9a-f]+)\s+(\S+)/))
+    .filter(Boolean)
+    .map(([, sha, submodulePath]) => ({ path: submodulePath, sha }));
+}
+
+/**
+ * Download LFS objects for the checkout and, when it has any, its submodules
+ * @returns {Promise<number>} number of LFS files present after the pull
+ */
+export async function pullLfsObjects({ directory, env, log, signal, includeSubmodules = false }) {
+  try {
+    await git(["lfs", "version"], { cwd: directory, env, signal });
+  } catch {
+    throw new Error("This repository uses Git LFS but git-lfs is not installed on the worker");
+  }
+
+  const options = { cwd: directory, env: gitEnvironment(env), log, signal, label: "Git LFS pull" };
+  await runStreamed(["git", "lfs", "pull"], options);
+  if (includeSubmodules) {
+    await runStreamed(["git", "submodule", "foreach", "--quiet", "--recursive", "git lfs pull"], options);
+  }
+
+  // "<oid> * <path>" marks a downloaded file, "<oid> - <path>" a pointer
+  const countDownloaded = (output) => output.split("\n").filter((line) => /^\S+ \* /.test(line)).length;
+  let objects = countDownloaded(await git(["lfs", "ls-files"], { cwd: directory, env, signal }));
+  if (includeSubmodules) {
+    objects += countDownloaded(
+      await git(["submodule", "foreach", "--quiet", "--recursive", "git lfs ls-files"], { cwd: directory, env, signal })
+    );
+  }
+  return objects;
+}
@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import connection from "../redis.js";
+
+const CREDENTIAL_PREFIX = "deploy:git-credential:";
+const AUTH_HOSTS = new Set(["github.com", "www.github.com"]);
+
+/**
+ * Store a token for the worker under a random id that expires on its own.
+ * Only the id goes into job data, so the token never reaches the queue.
+ * @returns {Promise<string>} credential id
+ */
+export async function storeGitCredential(token, ttlSeconds) {
+  const id = crypto.randomBytes(16).toString("hex");
+  await connection.set(`${CREDENTIAL_PREFIX}${id}`, token, "EX", Math.max(60, Math.round(ttlSeconds)));
+  return id;
+}
+
+export async function readGitCredential(id) {
+  if (!id) return null;
+  return connection.get(`${CREDENTIAL_PREFIX}${id}`);
+}
+
+export async function deleteGitCredential(id) {
+  if (!id) return;
+  await connection.del(`${CREDENTIAL_PREFIX}${id}`);
+}
+
+/**
+ * Whether a GitHub token may be sent to the host of a repository URL
+ */
+export function acceptsGitHubToken(repoUrl) {
+  try {
+    const url = new URL(repoUrl);
+    return url.protocol === "https:" && AUTH_HOSTS.has(url.hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Environment that authenticates git against the repository host without
+ * writing anything to .git/config: the header is passed through GIT_CONFIG_*
+ * and scoped to the host, so it isn't sent anywhere else.
+ * @returns {{ env: object, secrets: string[] }} secrets must be redacted from logs
+ */
+export function gitAuthEnvironment(repoUrl, token) {
+  // Fail instead of waiting for a username on stdin when access is denied
+  const env = { GIT_TERMINAL_PROMPT: "0", GCM_INTERACTIVE: "never" };
+  if (!token || !acceptsGitHubToken(repoUrl)) return { env, secrets: [] };
+
+  const basic = Buffer.from(`x-access-token:${token}`).toString("base64");
+  return {
+    env: {
+      ...env,
+      GIT_CONFIG_COUNT: "1",
+      GIT_CONFIG_KEY_0: `http.${new URL(repoUrl).origin}/.extraheader`,
+      GIT_CONFIG_VALUE_0: `AUTHORIZATION: basic ${basic}`,
+    },
+    secrets: [token, basic],
+  };
+}
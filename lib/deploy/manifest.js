@@ -0,0 +1,73 @@
+import fs from "fs";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+
+// Bookkeeping objects live next to the deployments, outside any deployment prefix
+const MANIFEST_PREFIX = "_deployer";
+
+/**
+ * Identifies a project across deployments: the repository and the app inside it
+ */
+export function projectKey(repoUrl, buildPath = "") {
+  const repository = repoUrl.trim().toLowerCase().replace(/\/+$/, "").replace(/\.git$/, "");
+  const app = buildPath.trim().replace(/^\.?\/+|\/+$/g, "");
+  return crypto.createHash("sha256").update(`${repository}\0${app}`).digest("hex").slice(0, 32);
+}
+
+export async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * CopyObject source for an object, with the key URL-encoded as S3 requires
+ */
+export function copySource(bucket, key) {
+  return `${bucket}/${key.split("/").map(encodeURIComponent).join("/")}`;
+}
+
+async function readJsonObject(s3, bucket, key) {
+  try {
+    const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return JSON.parse(await response.Body.transformToString());
+  } catch (error) {
+    if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) return null;
+    throw error;
+  }
+}
+
+function writeJsonObject(s3, bucket, key, value) {
+  return s3.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: JSON.stringify(value),
+    ContentType: "application/json",
+    CacheControl: "no-store",
+  }));
+}
+
+/**
+ * Manifest of the project's most recent successful deployment, or null for its first one
+ * @returns {Promise<{ deploymentId: string, files: Object<string, { sha256: string, size: number }> } | null>}
+ */
+export async function readLatestManifest(s3, bucket, project) {
+  const latest = await readJsonObject(s3, bucket, `${MANIFEST_PREFIX}/projects/${project}/latest.json`);
+  if (!latest?.deploymentId) return null;
+  return readJsonObject(s3, bucket, `${MANIFEST_PREFIX}/manifests/${latest.deploymentId}.json`);
+}
+
+/**
+ * Store a deployment's manifest and make it the one the project's next deployment compares against.
+ * The bucket is public, so manifests carry nothing the deployment itself doesn't expose:
+ * no repository URL, build path or commit.
+ * @param {{ deploymentId: string, createdAt: string, files: Object<string, { sha256: string, size: number }> }} manifest
+ */
+export async function writeManifest(s3, bucket, project, manifest) {
+  await writeJsonObject(s3, bucket, `${MANIFEST_PREFIX}/manifests/${manifest.deploymentId}.json`, manifest);
+  await writeJsonObject(s3, bucket, `${MANIFEST_PREFIX}/projects/${project}/latest.json`, {
+    deploymentId: manifest.deploymentId,
+    createdAt: manifest.createdAt,
+  });
+}
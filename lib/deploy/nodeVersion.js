@@ -0,0 +1,175 @@
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import semver from "semver";
+
+const execFileAsync = promisify(execFile);
+
+// Each subdirectory holds one Node.js install, e.g. /opt/node/18/bin/node
+const TOOLCHAINS_DIR = process.env.NODE_TOOLCHAINS_DIR || "/opt/node";
+
+// Version files checked from the build directory up to the repository root
+const VERSION_FILES = [".nvmrc", ".node-version"];
+
+// nvm's lts/<codename> aliases
+const LTS_CODENAMES = {
+  argon: 4,
+  boron: 6,
+  carbon: 8,
+  dubnium: 10,
+  erbium: 12,
+  fermium: 14,
+  gallium: 16,
+  hydrogen: 18,
+  iron: 20,
+  jod: 22,
+  krypton: 24,
+};
+
+let toolchainsPromise = null;
+
+/**
+ * Turn an nvm-style version spec ("v18", "lts/hydrogen", ">=20 <23") into a semver range
+ * @returns {{ range: string, ltsOnly: boolean } | null} null when the spec isn't understood
+ */
+export function normalizeNodeVersion(value) {
+  const spec = String(value).trim().toLowerCase().replace(/^v(?=\d)/, "");
+
+  if (["node", "latest", "current", "stable", "*"].includes(spec)) {
+    return { range: "*", ltsOnly: false };
+  }
+  if (spec === "lts" || spec === "lts/*") {
+    return { range: "*", ltsOnly: true };
+  }
+  if (spec.startsWith("lts/")) {
+    const major = LTS_CODENAMES[spec.slice(4)];
+    return major ? { range: `${major}.x`, ltsOnly: false } : null;
+  }
+
+  const range = semver.validRange(spec);
+  return range ? { range, ltsOnly: false } : null;
+}
+
+/**
+ * Find the Node.js version a project asks for in .nvmrc, .node-version or engines.node
+ * @returns {{ value: string, source: string } | null}
+ */
+export function findNodeVersionRequirement(buildDirectory, rootDirectory = buildDirectory) {
+  let current = buildDirectory;
+
+  while (true) {
+    for (const fileName of VERSION_FILES) {
+      const filePath = path.join(current, fileName);
+      if (!fs.existsSync(filePath)) continue;
+
+      // Only the first non-comment line counts, like nvm
+      const value = fs.readFileSync(filePath, "utf8")
+        .split("\n")
+        .map((line) => line.replace(/#.*/, "").trim())
+        .find(Boolean);
+      if (value) return { value, source: path.relative(rootDirectory, filePath) };
+    }
+
+    if (current === rootDirectory || path.dirname(current) === current) break;
+    current = path.dirname(current);
+  }
+
+  try {
+    const packageJsonPath = path.join(buildDirectory, "package.json");
+    const engines = JSON.parse(fs.readFileSync(packageJsonPath, "utf8")).engines;
+    if (typeof engines?.node === "string" && engines.node.trim()) {
+      return { value: engines.node.trim(), source: `${path.relative(rootDirectory, packageJsonPath)} engines.node` };
+    }
+  } catch {
+    // No readable package.json, nothing to pin
+  }
+
+  return null;
+}
+
+async function discoverToolchains() {
+  const skipped = [];
+  const toolchains = [
+    { version: process.version.slice(1), binDirectory: path.dirname(process.execPath), bundled: true },
+  ];
+
+  if (fs.existsSync(TOOLCHAINS_DIR)) {
+    for (const entry of fs.readdirSync(TOOLCHAINS_DIR, { withFileTypes: true })) {
+      const binDirectory = path.join(TOOLCHAINS_DIR, entry.name, "bin");
+      const nodePath = path.join(binDirectory, "node");
+      if (!entry.isDirectory() || !fs.existsSync(nodePath)) continue;
+
+      try {
+        const { stdout } = await execFileAsync(nodePath, ["--version"]);
+        const version = semver.clean(stdout.trim());
+        if (version && !toolchains.some((toolchain) => toolchain.version === version)) {
+          toolchains.push({ version, binDirectory, bundled: false });
+        }
+      } catch (error) {
+        skipped.push({ name: entry.name, reason: error.message.trim() });
+      }
+    }
+  }
+
+  return { toolchains: toolchains.sort((a, b) => semver.rcompare(a.version, b.version)), skipped };
+}
+
+/**
+ * Node.js installs available to builds, newest first, and the folders of NODE_TOOLCHAINS_DIR
+ * whose node didn't run. Scanned once per worker process.
+ * @returns {Promise<{ toolchains: Array<{ version: string, binDirectory: string, bundled: boolean }>,
+ *   skipped: Array<{ name: string, reason: string }> }>}
+ */
+export function listNodeToolchains() {
+  if (!toolchainsPromise) toolchainsPromise = discoverToolchains();
+  return toolchainsPromise;
+}
+
+/**
+ * Pick the newest installed toolchain satisfying a requirement. Without a
+ * requirement the worker's own Node.js is used. `skipped` lists the toolchains
+ * that couldn't be used, for the job log.
+ * @param {{ value: string, source: string } | null} requirement
+ * @returns {Promise<{ version: string, binDirectory: string, bundled: boolean, requested: string|null, source: string|null, note?: string,
+ *   skipped: Array<{ name: string, reason: string }> }>}
+ * @throws {Error} when the spec is invalid or no installed version satisfies it
+ */
+export async function selectNodeToolchain(requirement) {
+  const { toolchains, skipped } = await listNodeToolchains();
+
+  if (!requirement) {
+    const bundled = toolchains.find((toolchain) => toolchain.bundled);
+    return { ...bundled, requested: null, source: null, skipped };
+  }
+
+  const { value, source } = requirement;
+  const normalized = normalizeNodeVersion(value);
+  if (!normalized) {
+    throw new Error(`"${value}" from ${source} is not a valid Node.js version`);
+  }
+
+  const candidates = toolchains.filter(
+    (toolchain) => !normalized.ltsOnly || semver.major(toolchain.version) % 2 === 0
+  );
+  const pick = (range) => candidates.find((toolchain) => semver.satisfies(toolchain.version, range));
+
+  let toolchain = pick(normalized.range);
+  let note;
+
+  // An exact pin (".nvmrc: 18.17.0") accepts a newer compatible release of the same major
+  if (!toolchain && semver.valid(normalized.range)) {
+    toolchain = pick(`^${normalized.range}`);
+    if (toolchain) note = `${normalized.range} is not installed, using compatible ${toolchain.version}`;
+  }
+
+  if (!toolchain) {
+    const available = toolchains.map((candidate) => candidate.version).join(", ");
+    const broken = skipped.length > 0 ? ` (unusable: ${skipped.map((entry) => entry.name).join(", ")})` : "";
+    throw new Error(
+      `Node.js ${value} (from ${source}) is not supported by this worker. Available versions: ${available}${broken}`
+    );
+  }
+
+  return { ...toolchain, requested: value, source, note, skipped };
+}
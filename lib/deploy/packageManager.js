@@ -0,0 +1,160 @@
+import fs from "fs";
+import path from "path";
+// Checked in order - the first lockfile found wins
+const LOCKFILES = [
+  { file: "pnpm-lock.yaml", manager: "pnpm" },
+  { file: "yarn.lock", manager: "yarn" },
+  { file: "bun.lockb", manager: "bun" },
+  { file: "bun.lock", manager: "bun" },
+  { file: "package-lock.json", manager: "npm" },
+  { file: "npm-shrinkwrap.json", manager: "npm" },
+];
+
+// bun used when the project doesn't pin one, so unpinned builds stay reproducible
+const DEFAULT_BUN_VERSION = "1.3.0";
+
+/**
+ * Read the "packageManager" field (e.g. "pnpm@9.1.0+sha512...") from a package.json
+ */
+function readPackageManagerField(directory) {
+  const packageJsonPath = path.join(directory, "package.json");
+  if (!fs.existsSync(packageJsonPath)) return null;
+
+  try {
+    const { packageManager } = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+    const match = typeof packageManager === "string" && packageManager.match(/^(npm|pnpm|yarn|bun)@([^+\s]+)/);
+    return match ? { name: match[1], version: match[2] } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Walk up from the build directory to the repository root looking for a lockfile
+ */
+function findLockfile(buildDirectory, rootDirectory) {
+  let current = buildDirectory;
+
+  while (true) {
+    for (const { file, manager } of LOCKFILES) {
+      if (fs.existsSync(path.join(current, file))) {
+        return { directory: current, file, manager };
+      }
+    }
+
+    if (current === rootDirectory || path.dirname(current) === current) break;
+    current = path.dirname(current);
+  }
+
+  return null;
+}
+
+/**
+ * BUN_DEFAULT_VERSION when it is an exact version, else DEFAULT_BUN_VERSION
+ */
+function getDefaultBunVersion() {
+  const configured = process.env.BUN_DEFAULT_VERSION?.trim();
+  return configured && /^\d+\.\d+\.\d+$/.test(configured) ? configured : DEFAULT_BUN_VERSION;
+}
+
+/**
+ * Yarn 2+ (berry) uses --immutable instead of --frozen-lockfile
+ */
+function isYarnBerry(directory, pinnedVersion) {
+  if (pinnedVersion) return Number(pinnedVersion.split(".")[0]) >= 2;
+  if (fs.existsSync(path.join(directory, ".yarnrc.yml"))) return true;
+
+  const lockfile = path.join(directory, "yarn.lock");
+  return fs.existsSync(lockfile) && fs.readFileSync(lockfile, "utf8").includes("__metadata:");
+}
+
+/**
+ * Detect which package manager a project uses from its lockfile and "packageManager" field
+ * @param {string} buildDirectory - Directory containing the package.json to build
+ * @param {string} rootDirectory - Repository root, the highest directory searched for a lockfile
+ * @param {object} [options]
+ * @param {string} [options.workspaceRoot] - Monorepo root to install from when no lockfile is found
+ */
+export function detectPackageManager(buildDirectory, rootDirectory = buildDirectory, { workspaceRoot } = {}) {
+  const lockfile = findLockfile(buildDirectory, rootDirectory);
+  const installDirectory = lockfile ? lockfile.directory : workspaceRoot || buildDirectory;
+  const pinned = readPackageManagerField(buildDirectory) || readPackageManagerField(installDirectory);
+
+  // The lockfile is what CI installs from, so it decides over the packageManager field
+  const name = lockfile?.manager || pinned?.name || "npm";
+  const pinnedVersion = pinned?.name === name ? pinned.version : null;
+
+  let command;
+  let installArgs;
+  let defaultVersion = null;
+
+  switch (name) {
+    case "pnpm":
+      // corepack honours the packageManager field and downloads the pinned release
+      command = ["corepack", pinnedVersion ? `pnpm@${pinnedVersion}` : "pnpm"];
+      installArgs = lockfile ? ["install", "--frozen-lockfile"] : ["install"];
+      break;
+    case "yarn":
+      command = ["corepack", pinnedVersion ? `yarn@${pinnedVersion}` : "yarn"];
+      if (!lockfile) {
+        installArgs = ["install"];
+      } else if (isYarnBerry(installDirectory, pinnedVersion)) {
+        installArgs = ["install", "--immutable"];
+      } else {
+        installArgs = ["install", "--frozen-lockfile"];
+      }
+      break;
+    case "bun":
+      // corepack does not manage bun, fetch it through npx instead, at an exact version
+      defaultVersion = pinnedVersion ? null : getDefaultBunVersion();
+      command = ["npx", "--yes", `bun@${pinnedVersion || defaultVersion}`];
+      installArgs = lockfile ? ["install", "--frozen-lockfile"] : ["install"];
+      break;
+    default:
+      command = ["npm"];
+      installArgs = lockfile ? ["ci"] : ["install"];
+  }
+
+  return {
+    name,
+    pinnedVersion,
+    // Version used because nothing is pinned, for managers the worker picks one for
+    defaultVersion,
+    lockfile: lockfile ? path.relative(rootDirectory, path.join(lockfile.directory, lockfile.file)) : null,
+    installDirectory,
+    // Commands are argument arrays for runStreamed, never shell strings
+    command,
+    installCommand: [...command, ...installArgs],
+    // npm needs "--" to forward arguments to the script, the others forward them as-is
+    runCommand: (script, args = []) => {
+      if (args.length === 0) return [...command, "run", script];
+      return name === "npm"
+        ? [...command, "run", script, "--", ...args]
+        : [...command, "run", script, ...args];
+    },
+  };
+}
+
+/**
+ * Environment needed to run package managers through corepack without prompts
+ */
+export function packageManagerEnv() {
+  return {
+    COREPACK_ENABLE_DOWNLOAD_PROMPT: "0",
+    COREPACK_ENABLE_STRICT: "0",
+  };
+}
+
+/**
+ * Ask the resolved package manager for its actual version
+ * @param {object} packageManager - Result of detectPackageManager
+ * @param {(command: string[]) => Promise<string>} readOutput - Runs a command and returns its stdout
+ */
+export async function getPackageManagerVersion(packageManager, readOutput) {
+  try {
+    const stdout = await readOutput([...packageManager.command, "--version"]);
+    return stdout.trim().split("\n").pop();
+  } catch {
+    return packageManager.pinnedVersion || packageManager.defaultVersion || "unknown";
+  }
+}
@@ -0,0 +1,186 @@
+import { spawn } from "child_process";
+import treeKill from "tree-kill";
+
+const DEFAULT_MAX_LINE_LENGTH = 2000;
+const DEFAULT_MAX_LOG_BYTES = 2 * 1024 * 1024; // 2 MB of command output per job
+const ERROR_TAIL_LINES = 20;
+
+/**
+ * Replace every occurrence of the given secrets with "***"
+ */
+export function redactSecrets(text, secrets = []) {
+  return secrets.reduce(
+    (result, secret) => (secret ? result.split(secret).join("***") : result),
+    String(text)
+  );
+}
+
+/**
+ * Create a size-capped writer for command output in a job's log.
+ * Lines are written in order and truncated; once the byte budget is spent
+ * further output is dropped so a chatty build can't exhaust Redis.
+ * Values in `secrets` are redacted from everything written.
+ */
+export function createBuildLog(job, {
+  maxLineLength = Number(process.env.BUILD_LOG_MAX_LINE_LENGTH) || DEFAULT_MAX_LINE_LENGTH,
+  maxBytes = Number(process.env.BUILD_LOG_MAX_BYTES) || DEFAULT_MAX_LOG_BYTES,
+  secrets = [],
+} = {}) {
+  let pending = Promise.resolve();
+  let bytesWritten = 0;
+  let limitReached = false;
+
+  const append = (message) => {
+    pending = pending.then(() => job.log(redactSecrets(message, secrets))).catch((error) => {
+      console.error("Failed to write job log:", error.message);
+    });
+  };
+
+  return {
+    write(stream, line) {
+      if (limitReached) return;
+
+      let text = line;
+      if (text.length > maxLineLength) {
+        text = `${text.slice(0, maxLineLength)}… [${text.length - maxLineLength} chars truncated]`;
+      }
+
+      const message = `[${stream}] ${text}`;
+      bytesWritten += Buffer.byteLength(message);
+
+      if (bytesWritten > maxBytes) {
+        limitReached = true;
+        append(`⚠️ Output limit of ${Math.round(maxBytes / 1024)} KB reached - further command output is not logged`);
+        return;
+      }
+
+      append(message);
+    },
+    // Bypasses the byte budget, used for the short error summary after a failure
+    writeAlways(message) {
+      append(message);
+    },
+    get limitReached() {
+      return limitReached;
+    },
+    flush() {
+      return pending;
+    },
+  };
+}
+
+/**
+ * Split a child process stream into lines and hand each one to a callback
+ */
+function forEachLine(readable, onLine) {
+  let buffer = "";
+
+  readable.setEncoding("utf8");
+  readable.on("data", (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r\n|\n|\r/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(line);
+    }
+  });
+  readable.on("end", () => {
+    if (buffer.trim()) onLine(buffer);
+    buffer = "";
+  });
+}
+
+/**
+ * Printable form of a command for the job log, quoting arguments the way a shell would need
+ */
+export function formatCommand(command) {
+  if (typeof command === "string") return command;
+  return command
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`))
+    .join(" ");
+}
+
+/**
+ * Run a command and stream its stdout and stderr into the build log line by line
+ * @param {string[]|string} command - Program and arguments, run without a shell. A string
+ *   is run through the shell; only commands the user configured themselves take that form.
+ * @param {object} options
+ * @param {string} options.cwd - Working directory
+ * @param {object} options.env - Environment for the child process
+ * @param {object} options.log - Writer returned by createBuildLog
+ * @param {string} options.label - Step name used in error messages (e.g. "Install")
+ * @param {AbortSignal} [options.signal] - Kills the whole process tree when aborted
+ */
+export function runStreamed(command, { cwd, env, log, label = "Command", signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const tail = [];
+    const remember = (stream, line) => {
+      tail.push(`[${stream}] ${line}`);
+      if (tail.length > ERROR_TAIL_LINES) tail.shift();
+    };
+
+    const options = { cwd, env, stdio: ["ignore", "pipe", "pipe"] };
+    const child = typeof command === "string"
+      ? spawn(command, { ...options, shell: true })
+      : spawn(command[0], command.slice(1), options);
+
+    // Package managers and bundlers spawn their own children, so kill the tree rather than the shell
+    const onAbort = () => {
+      treeKill(child.pid, "SIGKILL", (error) => {
+        if (error) console.error(`Failed to kill ${label.toLowerCase()} process tree:`, error.message);
+      });
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    forEachLine(child.stdout, (line) => {
+      remember("stdout", line);
+      log.write("stdout", line);
+    });
+    forEachLine(child.stderr, (line) => {
+      remember("stderr", line);
+      log.write("stderr", line);
+    });
+
+    child.on("error", async (error) => {
+      signal?.removeEventListener("abort", onAbort);
+      await log.flush();
+      reject(new Error(`${label} could not start: ${error.message}`));
+    });
+
+    child.on("close", async (code, exitSignal) => {
+      signal?.removeEventListener("abort", onAbort);
+
+      if (signal?.aborted) {
+        await log.flush();
+        reject(signal.reason);
+        return;
+      }
+
+      if (code === 0) {
+        await log.flush();
+        resolve({ code });
+        return;
+      }
+
+      // The end of the output usually holds the compiler error; make sure it
+      // reaches the log even if the output limit cut the stream off earlier
+      if (log.limitReached) {
+        log.writeAlways(`--- Last ${tail.length} lines of output ---`);
+        tail.forEach((line) => log.writeAlways(line));
+      }
+      await log.flush();
+
+      const lastError = [...tail].reverse().find((line) => line.startsWith("[stderr]")) || tail[tail.length - 1];
+      const reason = exitSignal ? `was killed by ${exitSignal}` : `failed with exit code ${code}`;
+      const error = new Error(lastError ? `${label} ${reason}: ${lastError.replace(/^\[\w+\] /, "")}` : `${label} ${reason}`);
+      error.exitCode = code;
+      error.output = tail;
+      reject(error);
+    });
+  });
+}
@@ -0,0 +1,401 @@
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { runStreamed } from "./runCommand.js";
+import { formatSize } from "./formatSize.js";
+
+const execFileAsync = promisify(execFile);
+
+const SANDBOX_MODES = ["docker", "none"];
+const DEFAULT_IMAGE = "node:{version}-alpine";
+const CONTAINER_PATH = "/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin";
+const DISK_CHECK_INTERVAL_MS = 15 * 1000;
+const DOCKER_CHECK_TIMEOUT_MS = 15 * 1000;
+// Created on first use; the host firewall rules in the README are written for its bridge name
+const INSTALL_NETWORK = "deployer-sandbox";
+const INSTALL_NETWORK_BRIDGE = "deployer-sbx";
+const DEFAULT_INSTALL_SUBNET = "172.31.250.0/24";
+// The "node" user of the official Node.js images
+const DEFAULT_USER = "1000:1000";
+
+// The only worker variables a build gets; AWS, Redis and OAuth secrets never reach it
+const INHERITED_VARIABLES = ["LANG", "LC_ALL", "TZ"];
+
+let dockerCheck = null;
+let networkCheck = null;
+
+/**
+ * Parse a size such as "10g", "512m" or a plain number of bytes
+ */
+function parseSize(value) {
+  const match = String(value || "").trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/);
+  if (!match) return 0;
+  const exponent = " kmgt".indexOf(match[2] || " ");
+  return Math.round(Number(match[1]) * 1024 ** exponent);
+}
+
+function getSandboxUser() {
+  const user = (process.env.SANDBOX_USER || DEFAULT_USER).trim();
+  if (!/^\d+:\d+$/.test(user) || user.startsWith("0:")) {
+    throw new Error(`SANDBOX_USER must be a non-root numeric uid:gid such as ${DEFAULT_USER}, got "${user}"`);
+  }
+  return user;
+}
+
+function getSandboxSettings() {
+  const mode = (process.env.SANDBOX_MODE || "docker").trim().toLowerCase();
+  if (!SANDBOX_MODES.includes(mode)) {
+    throw new Error(`Unknown SANDBOX_MODE "${mode}" - use ${SANDBOX_MODES.join(" or ")}`);
+  }
+
+  return {
+    mode,
+    image: process.env.SANDBOX_IMAGE || DEFAULT_IMAGE,
+    cpus: process.env.SANDBOX_CPUS || "2",
+    memory: process.env.SANDBOX_MEMORY || "4g",
+    pidsLimit: process.env.SANDBOX_PIDS_LIMIT || "1024",
+    user: getSandboxUser(),
+    tmpSize: process.env.SANDBOX_TMP_SIZE || "512m",
+    diskLimit: parseSize(process.env.SANDBOX_DISK_LIMIT || "10g"),
+    // Only the install step downloads; build commands and hooks get no network by default
+    installNetwork: process.env.SANDBOX_INSTALL_NETWORK || INSTALL_NETWORK,
+    installSubnet: process.env.SANDBOX_INSTALL_SUBNET || DEFAULT_INSTALL_SUBNET,
+    buildNetwork: process.env.SANDBOX_BUILD_NETWORK || "none",
+    httpProxy: process.env.SANDBOX_HTTP_PROXY || "",
+    noProxy: process.env.SANDBOX_NO_PROXY || "",
+  };
+}
+
+/**
+ * Translate a worker path to the same directory on the Docker host. Needed when the
+ * worker itself runs in a container, e.g. SANDBOX_PATH_MAP=/app/temp=/srv/deployer/temp
+ */
+function toHostPath(workerPath) {
+  for (const entry of (process.env.SANDBOX_PATH_MAP || "").split(",")) {
+    const [from, to] = entry.split("=").map((part) => part?.trim());
+    if (!from || !to) continue;
+
+    const relative = path.relative(from, workerPath);
+    if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+      return path.join(to, relative);
+    }
+  }
+  return workerPath;
+}
+
+/**
+ * Fail the deployment up front instead of on the first command when Docker isn't usable
+ */
+function ensureDocker() {
+  dockerCheck ??= execFileAsync("docker", ["version", "--format", "{{.Server.Version}}"], {
+    timeout: DOCKER_CHECK_TIMEOUT_MS,
+  })
+    .then(({ stdout }) => stdout.trim())
+    .catch((error) => {
+      dockerCheck = null;
+      throw new Error(
+        `SANDBOX_MODE is "docker" but the Docker daemon can't be reached from the worker (${error.message.split("\n")[0]}). ` +
+        `Set SANDBOX_MODE=none to build without a sandbox.`
+      );
+    });
+  return dockerCheck;
+}
+
+/**
+ * Create the default install network when it doesn't exist yet: a separate bridge with
+ * containers isolated from each other and a fixed interface name for host firewall rules.
+ * Any other SANDBOX_INSTALL_NETWORK is expected to exist already.
+ */
+function ensureInstallNetwork(settings) {
+  if (settings.installNetwork !== INSTALL_NETWORK) return Promise.resolve();
+
+  networkCheck ??= execFileAsync("docker", ["network", "inspect", INSTALL_NETWORK], { timeout: DOCKER_CHECK_TIMEOUT_MS })
+    .catch(() =>
+      execFileAsync("docker", [
+        "network", "create",
+        "--driver", "bridge",
+        "--subnet", settings.installSubnet,
+        "--opt", `com.docker.network.bridge.name=${INSTALL_NETWORK_BRIDGE}`,
+        "--opt", "com.docker.network.bridge.enable_icc=false",
+        "--label", "deployer.sandbox=true",
+        INSTALL_NETWORK,
+      ], { timeout: DOCKER_CHECK_TIMEOUT_MS })
+    )
+    .then(() => undefined)
+    .catch((error) => {
+      networkCheck = null;
+      throw new Error(`Could not create the sandbox network "${INSTALL_NETWORK}": ${error.message.split("\n")[0]}`);
+    });
+  return networkCheck;
+}
+
+/**
+ * Make directories writable by the sandbox user. The worker usually runs as root (it
+ * needs the Docker socket), so it can hand over what it cloned and still clean up afterwards.
+ */
+async function giveToSandboxUser(settings, directories, { recursive = false } = {}) {
+  if (directories.length === 0) return;
+  const [uid] = settings.user.split(":").map(Number);
+  if (typeof process.getuid === "function" && process.getuid() === uid) return;
+
+  try {
+    await execFileAsync("chown", [...(recursive ? ["-R"] : []), settings.user, ...directories]);
+  } catch (error) {
+    throw new Error(
+      `Builds run as ${settings.user} (SANDBOX_USER), but the worker can't give its workspace to that user ` +
+      `(${error.message.split("\n")[0]}). Run the worker as root or as that user.`
+    );
+  }
+}
+
+/**
+ * Call `onExceeded` once a directory grows past the limit. Bind mounts aren't covered
+ * by Docker's storage quotas, so the workspace is measured from the worker instead.
+ * @returns {() => void} stops watching
+ */
+function watchDiskUsage(directory, limitBytes, onExceeded) {
+  if (!limitBytes) return () => {};
+
+  let checking = false;
+  const timer = setInterval(async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      const { stdout } = await execFileAsync("du", ["-sk", directory]);
+      if (Number(stdout.split(/\s/)[0]) * 1024 > limitBytes) {
+        clearInterval(timer);
+        onExceeded();
+      }
+    } catch {
+      // Directory already removed or du unavailable - nothing to measure
+    } finally {
+      checking = false;
+    }
+  }, DISK_CHECK_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Write the build's variables to a private env file for `docker run --env-file`, so their
+ * values neither show up in the worker's process list nor reach the docker CLI's own
+ * environment (a build's DOCKER_HOST or DOCKER_CONFIG must not redirect it). Docker env
+ * files have no syntax for line breaks, so multiline values are returned to be passed inline.
+ * @returns {Promise<{ envFile: string, inline: Array<[string, string]>, remove: () => Promise<void> }>}
+ */
+async function writeEnvFile(env) {
+  const directory = await fsPromises.mkdtemp(path.join(os.tmpdir(), "deployer-env-"));
+  const envFile = path.join(directory, "env");
+  const lines = [];
+  const inline = [];
+
+  for (const [key, value] of Object.entries(env)) {
+    if (value === undefined) continue;
+    if (/[\r\n]/.test(value)) {
+      inline.push([key, value]);
+    } else {
+      lines.push(`${key}=${value}`);
+    }
+  }
+
+  await fsPromises.writeFile(envFile, lines.join("\n"), { mode: 0o600 });
+  return {
+    envFile,
+    inline,
+    remove: () => fsPromises.rm(directory, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Arguments for `docker run` and the environment of the docker CLI. The CLI only gets the
+ * worker's own PATH, HOME and DOCKER_* variables; the build's variables come from `envFile`.
+ */
+function dockerRunArguments({ settings, containerName, image, command, cwd, envFile, inline, mounts, network }) {
+  const cliEnv = { PATH: process.env.PATH, HOME: process.env.HOME };
+  for (const [key, value] of Object.entries(process.env)) {
+    if (key.startsWith("DOCKER_")) cliEnv[key] = value;
+  }
+
+  const args = [
+    "run", "--rm", "--init",
+    "--name", containerName,
+    "--label", "deployer.sandbox=true",
+    "--cpus", settings.cpus,
+    "--memory", settings.memory,
+    "--memory-swap", settings.memory,
+    "--pids-limit", settings.pidsLimit,
+    "--network", network,
+    "--cap-drop", "ALL",
+    "--security-opt", "no-new-privileges",
+    "--read-only",
+    "--tmpfs", `/tmp:rw,exec,size=${settings.tmpSize}`,
+  ];
+
+  // Never root, even though the worker is: a root build next to the Docker socket is a host takeover away
+  args.push("--user", settings.user);
+
+  // Mounted at their worker paths so cwd, PATH and cache variables need no translation
+  for (const mount of mounts) {
+    args.push("--mount", `type=bind,source=${toHostPath(mount)},target=${mount}`);
+  }
+  args.push("--workdir", cwd);
+
+  args.push("--env-file", envFile);
+  for (const [key, value] of inline) {
+    args.push("--env", `${key}=${value}`);
+  }
+
+  args.push(image, ...(typeof command === "string" ? ["sh", "-c", command] : command));
+  return { args, cliEnv };
+}
+
+/**
+ * Set up where one deployment's install and build commands run. With SANDBOX_MODE=docker
+ * each command runs in a throwaway container limited in CPU, memory, processes and network,
+ * that sees only `root` (checkout, HOME and TMPDIR) and the variables it is given. With
+ * SANDBOX_MODE=none commands run in the worker, still with a scrubbed environment.
+ * @param {object} options
+ * @param {string} options.root - Directory holding everything the build may write
+ * @param {string} options.name - Prefix for container names
+ * @param {{ version: string, binDirectory: string }} options.nodeToolchain - Selected Node.js toolchain
+ */
+export async function createSandbox({ root, name, nodeToolchain }) {
+  const settings = getSandboxSettings();
+  const home = path.join(root, "home");
+  const tmp = path.join(root, "tmp");
+  await fsPromises.mkdir(home, { recursive: true });
+  await fsPromises.mkdir(tmp, { recursive: true });
+
+  const isolated = settings.mode === "docker";
+  if (isolated) {
+    await ensureDocker();
+    await ensureInstallNetwork(settings);
+    await giveToSandboxUser(settings, [root], { recursive: true });
+  }
+
+  // The official images are tagged with every release, so the build gets the exact selected version
+  const image = settings.image
+    .replace("{version}", nodeToolchain.version)
+    .replace("{major}", nodeToolchain.version.split(".")[0]);
+  let containers = 0;
+
+  const wrap = async (command, { cwd, env, mounts = [], online = false }) => {
+    containers += 1;
+    const containerName = `${name}-${containers}`;
+    const { envFile, inline, remove } = await writeEnvFile(env);
+    const { args, cliEnv } = dockerRunArguments({
+      settings,
+      containerName,
+      image,
+      command,
+      cwd,
+      envFile,
+      inline,
+      mounts: [root, ...mounts],
+      network: online ? settings.installNetwork : settings.buildNetwork,
+    });
+    // Killing the docker CLI leaves the container running, so remove it explicitly
+    const removeContainer = () => {
+      execFile("docker", ["rm", "--force", containerName], { env: cliEnv }, () => {});
+    };
+    return { command: ["docker", ...args], env: cliEnv, removeContainer, removeEnvFile: remove };
+  };
+
+  return {
+    mode: settings.mode,
+    image: isolated ? image : null,
+
+    describe() {
+      if (!isolated) {
+        return "disabled (SANDBOX_MODE=none) - install and build run inside the worker without CPU, memory or network limits";
+      }
+      const disk = settings.diskLimit ? `, ${formatSize(settings.diskLimit)} disk` : "";
+      return (
+        `${image} (${settings.cpus} CPU, ${settings.memory} memory${disk}, ` +
+        `network ${settings.installNetwork} for install, ${settings.buildNetwork} for build)`
+      );
+    },
+
+    /**
+     * Base environment of every command: no worker secrets, HOME and TMPDIR inside the workspace
+     */
+    env() {
+      const env = {
+        PATH: isolated ? CONTAINER_PATH : `${nodeToolchain.binDirectory}:${process.env.PATH || "/usr/local/bin:/usr/bin:/bin"}`,
+        HOME: home,
+        TMPDIR: tmp,
+      };
+      for (const key of INHERITED_VARIABLES) {
+        if (process.env[key]) env[key] = process.env[key];
+      }
+      if (settings.httpProxy) {
+        Object.assign(env, {
+          HTTP_PROXY: settings.httpProxy,
+          HTTPS_PROXY: settings.httpProxy,
+          http_proxy: settings.httpProxy,
+          https_proxy: settings.httpProxy,
+        });
+      }
+      if (settings.noProxy) {
+        Object.assign(env, { NO_PROXY: settings.noProxy, no_proxy: settings.noProxy });
+      }
+      return env;
+    },
+
+    /**
+     * Run a command like runStreamed. `mounts` are extra directories the command may use,
+     * such as the dependency cache store. `online` commands (install) get the install
+     * network, everything else the build network.
+     */
+    async run(command, { cwd, env, log, label = "Command", signal, mounts = [], online = false }) {
+      const limit = new AbortController();
+      const combined = signal ? AbortSignal.any([signal, limit.signal]) : limit.signal;
+      const stopWatching = watchDiskUsage(root, settings.diskLimit, () => {
+        limit.abort(new Error(`${label} exceeded the sandbox disk limit of ${formatSize(settings.diskLimit)}`));
+      });
+
+      try {
+        if (!isolated) {
+          return await runStreamed(command, { cwd, env, log, label, signal: combined });
+        }
+
+        await giveToSandboxUser(settings, mounts);
+        const container = await wrap(command, { cwd, env, mounts, online });
+        combined.addEventListener("abort", container.removeContainer, { once: true });
+        try {
+          return await runStreamed(container.command, { cwd: root, env: container.env, log, label, signal: combined });
+        } finally {
+          combined.removeEventListener("abort", container.removeContainer);
+          await container.removeEnvFile();
+        }
+      } finally {
+        stopWatching();
+      }
+    },
+
+    /**
+     * Run a short command and return its trimmed stdout. `online` works as in run(), for
+     * probes that may download the tool they ask about.
+     */
+    async output(command, { cwd, env, signal, mounts = [], online = false }) {
+      if (!isolated) {
+        const { stdout } = await execFileAsync(command[0], command.slice(1), { cwd, env, signal });
+        return stdout.trim();
+      }
+
+      await giveToSandboxUser(settings, mounts);
+      const container = await wrap(command, { cwd, env, mounts, online });
+      signal?.addEventListener("abort", container.removeContainer, { once: true });
+      try {
+        const [file, ...args] = container.command;
+        const { stdout } = await execFileAsync(file, args, { cwd: root, env: container.env, signal });
+        return stdout.trim();
+      } finally {
+        signal?.removeEventListener("abort", container.removeContainer);
+        await container.removeEnvFile();
+      }
+    },
+  };
+}
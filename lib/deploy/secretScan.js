@@ -0,0 +1,104 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { presets } from "../presets/index.js";
+
+export const SECRET_SCAN_MODES = ["warn", "fail", "off"];
+
+// Shorter values ("true", "3000", "prod") would match all over a bundle
+const MIN_SECRET_LENGTH = 8;
+const MAX_FILES_REPORTED = 5;
+
+/**
+ * Mode for a deployment: its setting, else SECRET_SCAN_MODE, else "warn"
+ */
+export function resolveSecretScanMode(configured) {
+  const mode = configured || process.env.SECRET_SCAN_MODE || "warn";
+  return SECRET_SCAN_MODES.includes(mode) ? mode : "warn";
+}
+
+/**
+ * Variables whose values must not show up in the published files: everything without
+ * one of the framework's public prefixes. Without a detected framework every known
+ * public prefix counts. A value also supplied under a public name is public anyway.
+ * @param {Object<string, string>} variables
+ * @param {object|null} preset
+ * @returns {{ secrets: Array<{ key: string, value: string }>, skipped: string[] }} skipped are too short to search for
+ */
+export function findServerOnlyVariables(variables, preset) {
+  const prefixes = preset ? preset.publicEnvPrefixes : [...new Set(presets.flatMap((candidate) => candidate.publicEnvPrefixes))];
+  const isPublic = (key) => prefixes.some((prefix) => key.startsWith(prefix));
+  const publicValues = new Set(Object.entries(variables).filter(([key]) => isPublic(key)).map(([, value]) => value));
+
+  const secrets = [];
+  const skipped = [];
+  for (const [key, value] of Object.entries(variables)) {
+    if (isPublic(key) || publicValues.has(value)) continue;
+    if (value.length < MIN_SECRET_LENGTH) {
+      skipped.push(key);
+    } else {
+      secrets.push({ key, value });
+    }
+  }
+  return { secrets, skipped };
+}
+
+/**
+ * Regular files and symbolic links below a directory. Links are listed, never followed
+ * into folders; scanForSecrets reads the ones that stay inside the directory.
+ */
+function listFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return listFiles(entryPath);
+    return entry.isFile() || entry.isSymbolicLink() ? [entryPath] : [];
+  });
+}
+
+/**
+ * Contents of a listed file. A link is read only when it resolves to a file inside the
+ * directory; one pointing elsewhere fails output validation and is never published.
+ */
+async function readListedFile(root, filePath) {
+  if (!(await fsPromises.lstat(filePath)).isSymbolicLink()) {
+    return fsPromises.readFile(filePath);
+  }
+
+  const target = await fsPromises.realpath(filePath).catch(() => null);
+  const relative = target ? path.relative(root, target) : "..";
+  if (relative.startsWith("..") || path.isAbsolute(relative) || !(await fsPromises.stat(target)).isFile()) {
+    return null;
+  }
+  return fsPromises.readFile(target);
+}
+
+/**
+ * Search every file under a directory for the literal values, as written and as they
+ * appear inside JS/JSON strings (escaped quotes, backslashes and newlines)
+ * @returns {Promise<Array<{ key: string, files: string[], totalFiles: number }>>} one entry per value found
+ */
+export async function scanForSecrets(directory, secrets) {
+  const needles = secrets.map(({ key, value }) => {
+    const escaped = JSON.stringify(value).slice(1, -1);
+    return {
+      key,
+      patterns: [...new Set([value, escaped])].map((pattern) => Buffer.from(pattern)),
+      files: [],
+    };
+  });
+
+  const root = await fsPromises.realpath(directory);
+  for (const filePath of listFiles(directory)) {
+    const content = await readListedFile(root, filePath);
+    if (!content) continue;
+    for (const needle of needles) {
+      if (needle.patterns.some((pattern) => content.includes(pattern))) {
+        needle.files.push(path.relative(directory, filePath).split(path.sep).join("/"));
+      }
+    }
+  }
+
+  return needles
+    .filter((needle) => needle.files.length > 0)
+    .map(({ key, files }) => ({ key, files: files.slice(0, MAX_FILES_REPORTED), totalFiles: files.length }));
+}
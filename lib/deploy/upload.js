@@ -0,0 +1,172 @@
+import fs from "fs";
+import { setTimeout as sleep } from "timers/promises";
+import { CopyObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_MULTIPART_THRESHOLD_BYTES = 16 * 1024 * 1024; // 16 MB
+const DEFAULT_MAX_ATTEMPTS = 4;
+const PART_SIZE_BYTES = 8 * 1024 * 1024;
+const PARTS_IN_PARALLEL = 4;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10 * 1000;
+// Largest object a single CopyObject request can copy
+const MAX_COPY_BYTES = 5 * 1024 * 1024 * 1024;
+
+function getUploadSettings() {
+  return {
+    concurrency: Number(process.env.UPLOAD_CONCURRENCY) || DEFAULT_CONCURRENCY,
+    multipartThreshold: Number(process.env.UPLOAD_MULTIPART_THRESHOLD_BYTES) || DEFAULT_MULTIPART_THRESHOLD_BYTES,
+    maxAttempts: Number(process.env.UPLOAD_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  };
+}
+
+/**
+ * Throttling, timeouts, 5xx and network errors are worth another attempt; a 403 or 404 is not
+ */
+function isRetryable(error) {
+  if (error.name === "AbortError") return false;
+  const status = error.$metadata?.httpStatusCode;
+  return !status || status >= 500 || status === 408 || status === 429 || Boolean(error.$retryable);
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function retryDelay(attempt) {
+  return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+}
+
+/**
+ * Upload one file, streaming its body. Files above the threshold use a multipart upload.
+ */
+async function putFile(s3, { filePath, size, params }, { multipartThreshold, signal }) {
+  if (size <= multipartThreshold) {
+    await s3.send(
+      new PutObjectCommand({ ...params, Body: fs.createReadStream(filePath), ContentLength: size }),
+      { abortSignal: signal }
+    );
+    return;
+  }
+
+  const upload = new Upload({
+    client: s3,
+    params: { ...params, Body: fs.createReadStream(filePath) },
+    partSize: PART_SIZE_BYTES,
+    queueSize: PARTS_IN_PARALLEL,
+    leavePartsOnError: false,
+  });
+  const abort = () => upload.abort();
+  signal.addEventListener("abort", abort, { once: true });
+  try {
+    await upload.done();
+  } finally {
+    signal.removeEventListener("abort", abort);
+  }
+}
+
+/**
+ * Copy an identical object server-side when there is one, otherwise upload the file
+ * @returns {Promise<boolean>} whether the object was copied
+ */
+async function copyOrPutFile(s3, file, options) {
+  if (file.copySource && file.size <= MAX_COPY_BYTES) {
+    try {
+      // REPLACE applies this deployment's content type and headers instead of the source's
+      await s3.send(
+        new CopyObjectCommand({ ...file.params, CopySource: file.copySource, MetadataDirective: "REPLACE" }),
+        { abortSignal: options.signal }
+      );
+      return true;
+    } catch (error) {
+      // The earlier deployment's object is gone - fall through to a normal upload
+      if (error.name !== "NoSuchKey" && error.$metadata?.httpStatusCode !== 404) throw error;
+    }
+  }
+
+  await putFile(s3, file, options);
+  return false;
+}
+
+/**
+ * Upload files to S3 with a bounded pool. Files with a `copySource` (an identical object
+ * of an earlier deployment) are copied server-side instead. Each file is retried with backoff
+ * on transient errors; the first file that still fails stops the remaining uploads.
+ * @param {import("@aws-sdk/client-s3").S3Client} s3
+ * @param {Array<{ filePath: string, params: object, copySource?: string }>} files - params are
+ *   PutObjectCommand parameters without the body (Bucket, Key, ContentType, ...)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(uploaded: number, total: number) => Promise<void>|void} [options.onProgress]
+ * @param {(key: string, attempt: number, error: Error) => Promise<void>|void} [options.onRetry]
+ * @returns {Promise<{ files: number, bytes: number, bytesUploaded: number, bytesReused: number, copiedFiles: number,
+ *   durationMs: number, bytesPerSecond: number, retries: number, multipartFiles: number, concurrency: number }>}
+ *   bytesPerSecond counts uploaded bytes only
+ */
+export async function uploadFiles(s3, files, { signal, onProgress, onRetry } = {}) {
+  const { concurrency, multipartThreshold, maxAttempts } = getUploadSettings();
+  const controller = new AbortController();
+  const combined = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+
+  const queue = files.map((file) => ({ ...file, size: fs.statSync(file.filePath).size }));
+  const stats = { files: 0, bytes: 0, bytesUploaded: 0, bytesReused: 0, copiedFiles: 0, retries: 0, multipartFiles: 0 };
+  const startedAt = Date.now();
+  let next = 0;
+
+  const uploadWithRetries = async (file) => {
+    for (let attempt = 1; ; attempt++) {
+      combined.throwIfAborted();
+      try {
+        return await copyOrPutFile(s3, file, { multipartThreshold, signal: combined });
+      } catch (error) {
+        if (combined.aborted) throw combined.reason;
+        if (attempt >= maxAttempts || !isRetryable(error)) {
+          error.message = `Upload of ${file.params.Key} failed after ${attempt} attempt(s): ${error.message}`;
+          throw error;
+        }
+        stats.retries++;
+        await onRetry?.(file.params.Key, attempt, error);
+        await sleep(retryDelay(attempt), undefined, { signal: combined });
+      }
+    }
+  };
+
+  const runWorker = async () => {
+    while (next < queue.length) {
+      const file = queue[next++];
+      const copied = await uploadWithRetries(file);
+
+      stats.files++;
+      stats.bytes += file.size;
+      if (copied) {
+        stats.copiedFiles++;
+        stats.bytesReused += file.size;
+      } else {
+        stats.bytesUploaded += file.size;
+        if (file.size > multipartThreshold) stats.multipartFiles++;
+      }
+      await onProgress?.(stats.files, queue.length);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, () =>
+    runWorker().catch((error) => {
+      // Stop the other workers, but report the error that caused it
+      controller.abort(error);
+      throw error;
+    })
+  );
+  const results = await Promise.allSettled(workers);
+  const failure = results.find((result) => result.status === "rejected");
+  if (failure) {
+    throw signal?.aborted ? signal.reason : controller.signal.reason || failure.reason;
+  }
+
+  const durationMs = Date.now() - startedAt;
+  return {
+    ...stats,
+    durationMs,
+    bytesPerSecond: durationMs > 0 ? Math.round((stats.bytesUploaded / durationMs) * 1000) : stats.bytesUploaded,
+    concurrency,
+  };
+}
@@ -0,0 +1,186 @@
+import fs from "fs";
+import path from "path";
+import picomatch from "picomatch";
+import { detectPreset } from "../presets/index.js";
+
+// How deep workspace globs like "packages/**" are followed
+const MAX_DEPTH = 5;
+
+// Nx's conventional project folders, used when nx.json doesn't come with package manager workspaces
+const NX_DEFAULT_PATTERNS = ["apps/*", "libs/*", "packages/*"];
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the `packages` list from pnpm-workspace.yaml. Only the block and flow
+ * list forms are understood, which is all pnpm documents.
+ */
+function readPnpmWorkspacePatterns(rootDirectory) {
+  const filePath = path.join(rootDirectory, "pnpm-workspace.yaml");
+  if (!fs.existsSync(filePath)) return null;
+
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  const start = lines.findIndex((line) => /^packages:/.test(line));
+  if (start === -1) return [];
+
+  const unquote = (value) => value.trim().replace(/^['"]|['"]$/g, "");
+  const inline = lines[start].match(/^packages:\s*\[(.*)\]/);
+  if (inline) return inline[1].split(",").map(unquote).filter(Boolean);
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^\S/.test(line)) break;
+    const item = line.match(/^\s*-\s*(.+?)\s*(#.*)?$/);
+    if (item) patterns.push(unquote(item[1]));
+  }
+  return patterns;
+}
+
+/**
+ * Which workspace tools a repository uses and the globs of its packages
+ */
+function readWorkspaceLayout(rootDirectory) {
+  const tools = [];
+  const patterns = [];
+  const rootPackage = readJson(path.join(rootDirectory, "package.json"));
+
+  const pnpmPatterns = readPnpmWorkspacePatterns(rootDirectory);
+  if (pnpmPatterns) {
+    tools.push("pnpm workspaces");
+    patterns.push(...pnpmPatterns);
+  }
+
+  const workspaces = rootPackage?.workspaces;
+  const packageJsonPatterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+  if (Array.isArray(packageJsonPatterns) && packageJsonPatterns.length > 0) {
+    tools.push(fs.existsSync(path.join(rootDirectory, "yarn.lock")) ? "yarn workspaces" : "npm workspaces");
+    patterns.push(...packageJsonPatterns);
+  }
+
+  const lerna = readJson(path.join(rootDirectory, "lerna.json"));
+  if (Array.isArray(lerna?.packages)) {
+    tools.push("lerna");
+    patterns.push(...lerna.packages);
+  }
+
+  if (fs.existsSync(path.join(rootDirectory, "turbo.json"))) {
+    tools.push("turborepo");
+  }
+
+  if (fs.existsSync(path.join(rootDirectory, "nx.json"))) {
+    tools.push("nx");
+    if (patterns.length === 0) patterns.push(...NX_DEFAULT_PATTERNS);
+  }
+
+  return { tools, patterns: [...new Set(patterns)], rootPackage };
+}
+
+/**
+ * Directories below the root matching the workspace globs ("!" globs exclude)
+ */
+function expandPatterns(rootDirectory, patterns) {
+  const include = patterns.filter((pattern) => !pattern.startsWith("!")).map((pattern) => pattern.replace(/^\.\//, "").replace(/\/$/, ""));
+  const exclude = patterns.filter((pattern) => pattern.startsWith("!")).map((pattern) => pattern.slice(1).replace(/^\.\//, ""));
+  if (include.length === 0) return [];
+
+  const isIncluded = picomatch(include);
+  const isExcluded = exclude.length > 0 ? picomatch(exclude) : () => false;
+  const matches = [];
+
+  const walk = (directory, depth) => {
+    if (depth > MAX_DEPTH) return;
+
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name === "node_modules" || entry.name.startsWith(".")) continue;
+
+      const entryPath = path.join(directory, entry.name);
+      const relativePath = path.relative(rootDirectory, entryPath).split(path.sep).join("/");
+      if (isIncluded(relativePath) && !isExcluded(relativePath)) {
+        matches.push(relativePath);
+      }
+      walk(entryPath, depth + 1);
+    }
+  };
+
+  walk(rootDirectory, 1);
+  return matches;
+}
+
+function describePackage(rootDirectory, relativePath, rootPackage) {
+  const directory = path.join(rootDirectory, relativePath);
+  const ownPackage = readJson(path.join(directory, "package.json"));
+  const nxProject = readJson(path.join(directory, "project.json"));
+  if (!ownPackage && !nxProject) return null;
+
+  // Nx integrated repos keep every dependency in the root package.json
+  const packageJson = ownPackage || rootPackage || {};
+  const preset = detectPreset({ directory, packageJson });
+
+  return {
+    name: ownPackage?.name || nxProject?.name || path.basename(directory),
+    path: relativePath,
+    framework: preset ? { id: preset.id, name: preset.name } : null,
+    hasBuildScript: Boolean(ownPackage?.scripts?.build),
+    dependencies: ownPackage
+      ? Object.keys({ ...ownPackage.dependencies, ...ownPackage.devDependencies, ...ownPackage.peerDependencies })
+      : [],
+  };
+}
+
+/**
+ * List the packages of a repository and the framework of each. Packages with a
+ * detected framework are deployment candidates. A repository without workspaces
+ * is reported as a single package at the root.
+ * @returns {{ tools: string[], packages: Array<{ name: string, path: string, framework: object|null, hasBuildScript: boolean, internalDependencies: string[], candidate: boolean }> }}
+ */
+export function discoverWorkspaces(rootDirectory) {
+  const { tools, patterns, rootPackage } = readWorkspaceLayout(rootDirectory);
+
+  const described = expandPatterns(rootDirectory, patterns)
+    .map((relativePath) => describePackage(rootDirectory, relativePath, rootPackage))
+    .filter(Boolean);
+
+  // The root is only a candidate on its own, a monorepo root is not an app
+  if (described.length === 0 && rootPackage) {
+    described.push(describePackage(rootDirectory, "", null));
+  }
+
+  const names = new Set(described.map((workspacePackage) => workspacePackage.name));
+  const packages = described
+    .map(({ dependencies, ...workspacePackage }) => ({
+      ...workspacePackage,
+      internalDependencies: dependencies.filter((name) => names.has(name) && name !== workspacePackage.name),
+      candidate: Boolean(workspacePackage.framework),
+    }))
+    .sort((a, b) => Number(b.candidate) - Number(a.candidate) || a.path.localeCompare(b.path));
+
+  return { tools, packages };
+}
+
+/**
+ * Internal dependencies of a package that have to be built before it, dependencies first
+ */
+export function internalBuildOrder(packages, target) {
+  const byName = new Map(packages.map((workspacePackage) => [workspacePackage.name, workspacePackage]));
+  const order = [];
+  const visited = new Set([target.name]);
+
+  const visit = (workspacePackage) => {
+    for (const name of workspacePackage.internalDependencies) {
+      if (visited.has(name)) continue;
+      visited.add(name);
+      const dependency = byName.get(name);
+      visit(dependency);
+      if (dependency.hasBuildScript) order.push(dependency);
+    }
+  };
+
+  visit(target);
+  return order;
+}
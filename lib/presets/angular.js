@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+import { hasDependency } from "./helpers.js";
+
+// Builders that write the browser bundle to <outputPath>/browser (Angular 17+)
+const APPLICATION_BUILDERS = [
+  "@angular-devkit/build-angular:application",
+  "@angular/build:application",
+];
+
+/**
+ * Find the build target of the default (or first) application in angular.json
+ */
+function readBuildTarget(directory) {
+  try {
+    const workspace = JSON.parse(fs.readFileSync(path.join(directory, "angular.json"), "utf8"));
+    const projects = workspace.projects || {};
+    const name = workspace.defaultProject && projects[workspace.defaultProject]
+      ? workspace.defaultProject
+      : Object.keys(projects).find((key) => projects[key].projectType === "application") || Object.keys(projects)[0];
+
+    if (!name) return null;
+    const build = projects[name].architect?.build || projects[name].targets?.build;
+    return { name, builder: build?.builder, outputPath: build?.options?.outputPath };
+  } catch {
+    return null;
+  }
+}
+
+const angularPreset = {
+  id: "angular",
+  name: "Angular",
+  detect: ({ packageJson }) => hasDependency(packageJson, "@angular/core") && hasDependency(packageJson, "@angular/cli"),
+  outputDirectory: ({ directory }) => {
+    const target = readBuildTarget(directory);
+    if (!target) return "dist";
+
+    const { name, builder, outputPath } = target;
+    if (outputPath && typeof outputPath === "object") {
+      return path.posix.join(outputPath.base, outputPath.browser ?? "browser");
+    }
+
+    const base = outputPath || `dist/${name}`;
+    return APPLICATION_BUILDERS.includes(builder) ? path.posix.join(base, "browser") : base;
+  },
+  publicEnvPrefixes: ["NG_APP_"],
+  async configureBase() {
+    return { buildArgs: ["--base-href", "./"], notes: ["Building with --base-href ./"] };
+  },
+};
+
+export default angularPreset;
@@ -0,0 +1,15 @@
+import { hasDependency } from "./helpers.js";
+
+const astroPreset = {
+  id: "astro",
+  name: "Astro",
+  detect: ({ packageJson }) => hasDependency(packageJson, "astro"),
+  outputDirectory: "dist",
+  publicEnvPrefixes: ["PUBLIC_"],
+  // Astro has no relative base, so build for the deployment's absolute prefix
+  async configureBase({ basePath }) {
+    return { buildArgs: ["--base", basePath], notes: [`Building with --base ${basePath}`] };
+  },
+};
+
+export default astroPreset;
@@ -0,0 +1,41 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { hasDependency } from "./helpers.js";
+
+/**
+ * Fix Create React App by adding homepage to package.json
+ */
+async function fixCreateReactApp(buildDirectory) {
+  const packageJsonPath = path.join(buildDirectory, "package.json");
+  
+  if (fs.existsSync(packageJsonPath)) {
+    const packageJson = JSON.parse(await fsPromises.readFile(packageJsonPath, 'utf8'));
+    
+    // Add homepage field for relative paths
+    packageJson.homepage = ".";
+    
+    await fsPromises.writeFile(
+      packageJsonPath, 
+      JSON.stringify(packageJson, null, 2), 
+      'utf8'
+    );
+    return true;
+  }
+  
+  return false;
+}
+
+const createReactAppPreset = {
+  id: "create-react-app",
+  name: "Create React App",
+  detect: ({ packageJson }) => hasDependency(packageJson, "react-scripts"),
+  outputDirectory: "build",
+  publicEnvPrefixes: ["REACT_APP_"],
+  async configureBase({ directory }) {
+    await fixCreateReactApp(directory);
+    return { notes: ["package.json homepage set to \".\""] };
+  },
+};
+
+export default createReactAppPreset;
@@ -0,0 +1,17 @@
+import { hasDependency } from "./helpers.js";
+
+const docusaurusPreset = {
+  id: "docusaurus",
+  name: "Docusaurus",
+  detect: ({ packageJson }) => hasDependency(packageJson, "@docusaurus/core"),
+  outputDirectory: "build",
+  publicEnvPrefixes: [],
+  // baseUrl only exists in docusaurus.config, so it has to opt in to the deployment prefix
+  async configureBase() {
+    return {
+      notes: ["Set baseUrl: process.env.DEPLOY_BASE_PATH in docusaurus.config so links work under the deployment prefix"],
+    };
+  },
+};
+
+export default docusaurusPreset;
@@ -0,0 +1,22 @@
+import fs from "fs";
+import { hasDependency, findFile } from "./helpers.js";
+
+const gatsbyPreset = {
+  id: "gatsby",
+  name: "Gatsby",
+  detect: ({ packageJson }) => hasDependency(packageJson, "gatsby"),
+  outputDirectory: "public",
+  publicEnvPrefixes: ["GATSBY_"],
+  // pathPrefix only exists in gatsby-config, so it has to opt in to the deployment prefix
+  async configureBase({ directory }) {
+    const config = findFile(directory, ["gatsby-config.js", "gatsby-config.mjs", "gatsby-config.ts"]);
+    if (config && fs.readFileSync(config, "utf8").includes("pathPrefix")) {
+      return { buildArgs: ["--prefix-paths"], notes: ["Building with --prefix-paths"] };
+    }
+    return {
+      notes: ["Set pathPrefix: process.env.DEPLOY_BASE_PATH in gatsby-config so links work under the deployment prefix"],
+    };
+  },
+};
+
+export default gatsbyPreset;
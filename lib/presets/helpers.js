@@ -0,0 +1,17 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Whether a package lists a dependency in dependencies or devDependencies
+ */
+export function hasDependency(packageJson, name) {
+  return Boolean(packageJson.dependencies?.[name] || packageJson.devDependencies?.[name]);
+}
+
+/**
+ * First of the given file names that exists in a directory
+ */
+export function findFile(directory, fileNames) {
+  const found = fileNames.find((fileName) => fs.existsSync(path.join(directory, fileName)));
+  return found ? path.join(directory, found) : null;
+}
@@ -0,0 +1,56 @@
+import nextjs from "./nextjs.js";
+import gatsby from "./gatsby.js";
+import docusaurus from "./docusaurus.js";
+import astro from "./astro.js";
+import sveltekit from "./sveltekit.js";
+import angular from "./angular.js";
+import vueCli from "./vueCli.js";
+import createReactApp from "./createReactApp.js";
+import vite from "./vite.js";
+
+/**
+ * Framework presets in detection order. Frameworks built on top of Vite
+ * (Astro, SvelteKit) must come before the plain Vite preset.
+ *
+ * Each preset provides:
+ *   id, name             - identifier used for overrides, display name
+ *   detect(ctx)          - whether the package at ctx.directory uses the framework
+ *   outputDirectory      - build output relative to the package, or a function of ctx
+ *   publicEnvPrefixes    - env var prefixes the framework inlines into client bundles
+ *   configureBase(ctx)   - makes the build work under /<deploymentId>/; returns
+ *                          { buildArgs?: string[], notes?: string[] }
+ */
+export const presets = [
+  nextjs,
+  gatsby,
+  docusaurus,
+  astro,
+  sveltekit,
+  angular,
+  vueCli,
+  createReactApp,
+  vite,
+];
+
+export const presetIds = presets.map((preset) => preset.id);
+
+export function getPreset(id) {
+  return presets.find((preset) => preset.id === id) || null;
+}
+
+/**
+ * Detect the framework of a package
+ * @param {{ directory: string, packageJson: object }} ctx
+ */
+export function detectPreset(ctx) {
+  return presets.find((preset) => preset.detect(ctx)) || null;
+}
+
+/**
+ * Resolve a preset's output directory for a package
+ */
+export function presetOutputDirectory(preset, ctx) {
+  return typeof preset.outputDirectory === "function"
+    ? preset.outputDirectory(ctx)
+    : preset.outputDirectory;
+}
@@ -0,0 +1,118 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { hasDependency, findFile } from "./helpers.js";
+
+const CONFIG_FILES = ["next.config.js", "next.config.mjs", "next.config.cjs", "next.config.ts", "next.config.mts"];
+const SOURCE_EXTENSIONS = new Set([".js", ".jsx", ".ts", ".tsx", ".mjs", ".cjs", ".mts"]);
+const MAX_REPORTED_FILES = 10;
+
+function listSourceFiles(directory) {
+  if (!fs.existsSync(directory)) return [];
+
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name === "node_modules" || entry.name.startsWith(".")) return [];
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return listSourceFiles(entryPath);
+    return SOURCE_EXTENSIONS.has(path.extname(entry.name)) ? [entryPath] : [];
+  });
+}
+
+/**
+ * Find features `output: 'export'` can't produce: API routes, middleware,
+ * dynamic route handlers and server-side rendering
+ * @returns {string[]} one problem per offending file
+ */
+function findUnsupportedFeatures(directory) {
+  const problems = [];
+  const relative = (file) => path.relative(directory, file);
+
+  for (const root of [directory, path.join(directory, "src")]) {
+    const middleware = findFile(root, ["middleware.js", "middleware.ts", "middleware.mjs"]);
+    if (middleware) problems.push(`${relative(middleware)}: middleware needs a server`);
+
+    const pagesDirectory = path.join(root, "pages");
+    for (const file of listSourceFiles(pagesDirectory)) {
+      if (path.relative(pagesDirectory, file).split(path.sep)[0] === "api") {
+        problems.push(`${relative(file)}: API routes need a server`);
+      } else if (/\bgetServerSideProps\b/.test(fs.readFileSync(file, "utf8"))) {
+        problems.push(`${relative(file)}: getServerSideProps renders on every request`);
+      }
+    }
+
+    for (const file of listSourceFiles(path.join(root, "app"))) {
+      const source = fs.readFileSync(file, "utf8");
+      const isRouteHandler = /^route\.[cm]?[jt]s$/.test(path.basename(file));
+
+      if (isRouteHandler && !/force-static/.test(source)) {
+        problems.push(`${relative(file)}: route handlers must export dynamic = 'force-static'`);
+      } else if (/dynamic\s*=\s*['"]force-dynamic['"]/.test(source)) {
+        problems.push(`${relative(file)}: dynamic = 'force-dynamic' renders on every request`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Replace next.config with a wrapper that loads the original and forces a static
+ * export under the deployment prefix. Function configs and plugins keep working.
+ * @returns {string} note describing what was done
+ */
+async function writeExportConfig(directory, basePath) {
+  const existing = findFile(directory, CONFIG_FILES);
+  const isTypeScript = existing && /\.m?ts$/.test(existing);
+  const wrapperPath = path.join(directory, isTypeScript ? "next.config.ts" : "next.config.mjs");
+
+  let importLine = "const original = {};";
+  if (existing) {
+    const extension = path.extname(existing);
+    const originalName = `next.config.deployer-original${extension}`;
+    await fsPromises.rename(existing, path.join(directory, originalName));
+    // TypeScript configs are compiled by Next, which resolves imports without extensions
+    importLine = `import original from "./${isTypeScript ? originalName.slice(0, -extension.length) : originalName}";`;
+  }
+
+  const wrapper = `${importLine}
+
+// Generated by AWS Auto Deployer: force a static export under ${basePath}
+export default async function deployerConfig(phase${isTypeScript ? ": string" : ""}, context${isTypeScript ? ": any" : ""}) {
+  const config = typeof original === "function" ? await original(phase, context) : original;
+  return {
+    ...config,
+    output: "export",
+    basePath: ${JSON.stringify(basePath)},
+    assetPrefix: ${JSON.stringify(basePath)},
+    images: { ...config?.images, unoptimized: true },
+  };
+}
+`;
+
+  await fsPromises.writeFile(wrapperPath, wrapper, "utf8");
+  return existing
+    ? `Wrapped ${path.basename(existing)} with output: 'export', basePath ${basePath}`
+    : `Created ${path.basename(wrapperPath)} with output: 'export', basePath ${basePath}`;
+}
+
+const nextjsPreset = {
+  id: "nextjs",
+  name: "Next.js (static export)",
+  detect: ({ packageJson }) => hasDependency(packageJson, "next"),
+  outputDirectory: "out",
+  publicEnvPrefixes: ["NEXT_PUBLIC_"],
+  async configureBase({ directory, basePath }) {
+    const problems = findUnsupportedFeatures(directory);
+    if (problems.length > 0) {
+      const listed = problems.slice(0, MAX_REPORTED_FILES).join("; ");
+      const more = problems.length > MAX_REPORTED_FILES ? ` (and ${problems.length - MAX_REPORTED_FILES} more)` : "";
+      throw new Error(`This Next.js app can't be exported as a static site: ${listed}${more}`);
+    }
+
+    // basePath must not end with a slash
+    const note = await writeExportConfig(directory, basePath.replace(/\/$/, ""));
+    return { notes: [note] };
+  },
+};
+
+export default nextjsPreset;
@@ -0,0 +1,20 @@
+import { hasDependency } from "./helpers.js";
+
+const sveltekitPreset = {
+  id: "sveltekit",
+  name: "SvelteKit",
+  detect: ({ packageJson }) => hasDependency(packageJson, "@sveltejs/kit"),
+  outputDirectory: "build",
+  publicEnvPrefixes: ["PUBLIC_", "VITE_"],
+  async configureBase({ packageJson }) {
+    if (!hasDependency(packageJson, "@sveltejs/adapter-static")) {
+      throw new Error(
+        "SvelteKit apps need @sveltejs/adapter-static to be deployed as a static site"
+      );
+    }
+    // kit.paths.relative defaults to true, so asset URLs already work under a prefix
+    return { notes: ["Using adapter-static with relative paths"] };
+  },
+};
+
+export default sveltekitPreset;
@@ -0,0 +1,44 @@
+import fsPromises from "fs/promises";
+import path from "path";
+import { hasDependency, findFile } from "./helpers.js";
+import { rewriteViteBase, VITE_CONFIG_FILES } from "./viteConfig.js";
+
+const CLI_FALLBACK = ["--base", "./"];
+
+/**
+ * Point Vite's base at "./" by editing the config file, or fall back to
+ * passing --base on the command line when the config can't be safely changed
+ */
+async function fixViteConfig(buildDirectory) {
+  const configPath = findFile(buildDirectory, VITE_CONFIG_FILES);
+  if (!configPath) {
+    return { buildArgs: CLI_FALLBACK, notes: ["No Vite config found - building with --base ./"] };
+  }
+
+  const configName = path.basename(configPath);
+  const source = await fsPromises.readFile(configPath, "utf8");
+  const result = rewriteViteBase(source, { typescript: /\.[cm]?ts$/.test(configName) });
+
+  if (result.error) {
+    return {
+      buildArgs: CLI_FALLBACK,
+      notes: [`Left ${configName} unchanged (${result.error}) - building with --base ./`],
+    };
+  }
+
+  await fsPromises.writeFile(configPath, result.code, "utf8");
+  return { notes: [`${configName} updated to base: './' (${result.changed} config object(s))`] };
+}
+
+const vitePreset = {
+  id: "vite",
+  name: "Vite",
+  detect: ({ packageJson }) => hasDependency(packageJson, "vite"),
+  outputDirectory: "dist",
+  publicEnvPrefixes: ["VITE_"],
+  async configureBase({ directory }) {
+    return fixViteConfig(directory);
+  },
+};
+
+export default vitePreset;
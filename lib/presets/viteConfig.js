@@ -0,0 +1,230 @@
+import { parse } from "@babel/parser";
+import MagicString from "magic-string";
+
+// Vite's own lookup order
+export const VITE_CONFIG_FILES = [
+  "vite.config.js",
+  "vite.config.mjs",
+  "vite.config.ts",
+  "vite.config.cjs",
+  "vite.config.mts",
+  "vite.config.cts",
+];
+
+const WRAPPER_NODES = new Set([
+  "TSAsExpression",
+  "TSSatisfiesExpression",
+  "TSNonNullExpression",
+  "TSTypeAssertion",
+  "ParenthesizedExpression",
+  "AwaitExpression",
+]);
+
+class UnsupportedConfigError extends Error {}
+
+function calleeName(callee) {
+  if (callee.type === "Identifier") return callee.name;
+  if (callee.type === "MemberExpression" && !callee.computed) return callee.property.name;
+  return null;
+}
+
+function propertyName(property) {
+  if (property.computed) return null;
+  if (property.key.type === "Identifier") return property.key.name;
+  if (property.key.type === "StringLiteral") return property.key.value;
+  return null;
+}
+
+/**
+ * Top-level `const x = ...` and `function x() {}` bindings, used to follow
+ * `export default config` back to the object literal
+ */
+function collectBindings(program) {
+  const bindings = new Map();
+
+  for (const statement of program.body) {
+    const declaration = statement.type === "ExportNamedDeclaration" ? statement.declaration : statement;
+    if (!declaration) continue;
+
+    if (declaration.type === "VariableDeclaration") {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === "Identifier" && declarator.init) {
+          bindings.set(declarator.id.name, { node: declarator.init, constant: declaration.kind === "const" });
+        }
+      }
+    } else if (declaration.type === "FunctionDeclaration" && declaration.id) {
+      bindings.set(declaration.id.name, { node: declaration, constant: true });
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * Return statements belonging to a function body, skipping nested functions
+ */
+function collectReturns(node, returns = []) {
+  if (!node || typeof node.type !== "string") return returns;
+  if (node.type === "ReturnStatement") {
+    returns.push(node);
+    return returns;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "loc" || key === "leadingComments" || key === "trailingComments") continue;
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child && typeof child.type === "string" && !/Function|ClassMethod|ObjectMethod/.test(child.type)) {
+        collectReturns(child, returns);
+      }
+    }
+  }
+
+  return returns;
+}
+
+/**
+ * Follow the exported expression to the object literal(s) Vite ends up using
+ * @throws {UnsupportedConfigError} when any path can't be followed
+ */
+function resolveConfigObjects(node, bindings, seen = new Set()) {
+  while (WRAPPER_NODES.has(node.type)) {
+    node = node.expression || node.argument;
+  }
+
+  switch (node.type) {
+    case "ObjectExpression":
+      return [node];
+
+    case "Identifier": {
+      const binding = bindings.get(node.name);
+      if (!binding || !binding.constant || seen.has(node.name)) {
+        throw new UnsupportedConfigError(`can't follow "${node.name}" to a config object`);
+      }
+      seen.add(node.name);
+      return resolveConfigObjects(binding.node, bindings, seen);
+    }
+
+    case "CallExpression": {
+      const name = calleeName(node.callee);
+      if (name === "defineConfig" && node.arguments.length === 1) {
+        return resolveConfigObjects(node.arguments[0], bindings, seen);
+      }
+      if (name === "mergeConfig" && node.arguments.length >= 2) {
+        // Values from the second config win, so that's the one to change
+        return resolveConfigObjects(node.arguments[1], bindings, seen);
+      }
+      throw new UnsupportedConfigError(`config is the result of ${name || "a call"}()`);
+    }
+
+    case "ConditionalExpression":
+      return [
+        ...resolveConfigObjects(node.consequent, bindings, seen),
+        ...resolveConfigObjects(node.alternate, bindings, seen),
+      ];
+
+    case "ArrowFunctionExpression":
+    case "FunctionExpression":
+    case "FunctionDeclaration": {
+      if (node.body.type !== "BlockStatement") {
+        return resolveConfigObjects(node.body, bindings, seen);
+      }
+      const returns = collectReturns(node.body);
+      if (returns.length === 0 || returns.some((statement) => !statement.argument)) {
+        throw new UnsupportedConfigError("config function doesn't always return a config");
+      }
+      return returns.flatMap((statement) => resolveConfigObjects(statement.argument, bindings, seen));
+    }
+
+    default:
+      throw new UnsupportedConfigError(`unsupported config expression (${node.type})`);
+  }
+}
+
+function findExportedExpression(program) {
+  for (const statement of program.body) {
+    if (statement.type === "ExportDefaultDeclaration") {
+      return statement.declaration;
+    }
+
+    const expression = statement.type === "ExpressionStatement" && statement.expression;
+    if (
+      expression?.type === "AssignmentExpression" &&
+      expression.left.type === "MemberExpression" &&
+      expression.left.object.name === "module" &&
+      expression.left.property.name === "exports"
+    ) {
+      return expression.right;
+    }
+  }
+  return null;
+}
+
+/**
+ * Set `base` on a config object literal. A `base` followed by a spread could be
+ * overwritten by the spread, so that case is left to the CLI flag.
+ */
+function setBase(magic, object, base) {
+  const value = JSON.stringify(base);
+  const index = object.properties.findIndex(
+    (property) => property.type !== "SpreadElement" && propertyName(property) === "base"
+  );
+
+  if (index === -1) {
+    const last = object.properties[object.properties.length - 1];
+    if (!last) {
+      magic.appendLeft(object.start + 1, ` base: ${value} `);
+    } else if (last.loc.start.line !== object.loc.start.line) {
+      magic.appendLeft(last.end, `,\n${" ".repeat(last.loc.start.column)}base: ${value}`);
+    } else {
+      magic.appendLeft(last.end, `, base: ${value}`);
+    }
+    return;
+  }
+
+  const property = object.properties[index];
+  if (property.type !== "ObjectProperty") {
+    throw new UnsupportedConfigError("base is defined as a method or accessor");
+  }
+  if (object.properties.slice(index + 1).some((other) => other.type === "SpreadElement")) {
+    throw new UnsupportedConfigError("base is followed by a spread that may override it");
+  }
+
+  if (property.shorthand) {
+    magic.overwrite(property.start, property.end, `base: ${value}`);
+  } else {
+    magic.overwrite(property.value.start, property.value.end, value);
+  }
+}
+
+/**
+ * Rewrite a Vite config's `base` through the AST. Handles object, function and
+ * async configs, defineConfig, mergeConfig and configs bound to a variable.
+ * @returns {{ code: string, changed: number } | { error: string }}
+ */
+export function rewriteViteBase(source, { typescript = false, base = "./" } = {}) {
+  let ast;
+  try {
+    ast = parse(source, {
+      sourceType: "unambiguous",
+      plugins: typescript ? ["typescript"] : ["jsx"],
+    });
+  } catch (error) {
+    return { error: `could not parse config: ${error.message}` };
+  }
+
+  const exported = findExportedExpression(ast.program);
+  if (!exported) return { error: "config has no default export" };
+
+  const magic = new MagicString(source);
+  try {
+    const objects = resolveConfigObjects(exported, collectBindings(ast.program));
+    for (const object of new Set(objects)) {
+      setBase(magic, object, base);
+    }
+    return { code: magic.toString(), changed: new Set(objects).size };
+  } catch (error) {
+    if (error instanceof UnsupportedConfigError) return { error: error.message };
+    throw error;
+  }
+}
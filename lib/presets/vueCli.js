@@ -0,0 +1,30 @@
+import fsPromises from "fs/promises";
+import path from "path";
+import { hasDependency, findFile } from "./helpers.js";
+
+const vueCliPreset = {
+  id: "vue-cli",
+  name: "Vue CLI",
+  detect: ({ packageJson }) => hasDependency(packageJson, "@vue/cli-service"),
+  outputDirectory: "dist",
+  publicEnvPrefixes: ["VUE_APP_"],
+  async configureBase({ directory }) {
+    const existing = findFile(directory, ["vue.config.js", "vue.config.cjs", "vue.config.mjs", "vue.config.ts"]);
+
+    // publicPath can only be set in the config file; don't rewrite one we didn't write
+    if (existing) {
+      return {
+        notes: [`${path.basename(existing)} found - make sure it sets publicPath: './'`],
+      };
+    }
+
+    await fsPromises.writeFile(
+      path.join(directory, "vue.config.js"),
+      "module.exports = {\n  publicPath: './',\n};\n",
+      "utf8"
+    );
+    return { notes: ["Created vue.config.js with publicPath: './'"] };
+  },
+};
+
+export default vueCliPreset;
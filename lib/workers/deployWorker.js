@@ -1,19 +1,55 @@
 import { Worker } from "bullmq";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import { CloudFrontClient, CreateInvalidationCommand } from "@aws-sdk/client-cloudfront";
-import { exec } from "child_process";
-import { promisify } from "util";
+import { CloudFrontKeyValueStoreClient } from "@aws-sdk/client-cloudfront-keyvaluestore";
 import fs from "fs";
 import fsPromises from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import connection from "../redis.js";
+import { detectPackageManager, getPackageManagerVersion, packageManagerEnv } from "../deploy/packageManager.js";
+import { computeCacheKey, acquireDependencyCache, releaseDependencyCache } from "../deploy/dependencyCache.js";
+import { createBuildLog, formatCommand, redactSecrets } from "../deploy/runCommand.js";
+import { createSandbox } from "../deploy/sandbox.js";
+import { parseEnv, formatEnvFile } from "../deploy/envParser.js";
+import { resolveSecretScanMode, findServerOnlyVariables, scanForSecrets } from "../deploy/secretScan.js";
+import { validateArtifacts, isNeverPublished } from "../deploy/artifacts.js";
+import { formatSize } from "../deploy/formatSize.js";
+import { uploadFiles } from "../deploy/upload.js";
+import { defaultCachePolicy } from "../deploy/cachePolicy.js";
+import { createContentTypeResolver } from "../deploy/contentType.js";
+import { resolveCompression, compressArtifacts, isCompressible, ENCODINGS } from "../deploy/compression.js";
+import { markCompressedDeployment } from "../deploy/compressionMarker.js";
+import { projectKey, hashFile, copySource, readLatestManifest, writeManifest } from "../deploy/manifest.js";
+import { readGitCredential, deleteGitCredential, gitAuthEnvironment } from "../deploy/gitCredentials.js";
+import {
+  shallowCheckout,
+  readHeadCommit,
+  hasSubmodules,
+  usesLfs,
+  fetchSubmodules,
+  pullLfsObjects,
+} from "../deploy/git.js";
+import { findNodeVersionRequirement, selectNodeToolchain } from "../deploy/nodeVersion.js";
+import { DeploymentAbortedError, isCancellationRequested, subscribeToCancellations } from "../deploy/cancellation.js";
+import {
+  CONFIG_FILE_NAME,
+  loadDeployConfig,
+  mergeDeployConfig,
+  describeDeployConfig,
+  createHeaderResolver,
+} from "../deploy/deployConfig.js";
+import { discoverWorkspaces, internalBuildOrder } from "../deploy/workspaces.js";
+import { detectPreset, getPreset, presetOutputDirectory } from "../presets/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const execAsync = promisify(exec);
+const DEFAULT_BUILD_TIMEOUT_MINUTES = Number(process.env.BUILD_TIMEOUT_MINUTES) || 15;
+
+// Abort controllers of the jobs this worker is running, keyed by job id
+const activeDeployments = new Map();
 
 const s3 = new S3Client({
   region: process.env.AWS_REGION || "eu-north-1",
@@ -31,6 +67,15 @@ const cloudfront = new CloudFrontClient({
   },
 });
 
+// Lists the deployments with compressed variants for the routing function
+const cloudfrontKvs = new CloudFrontKeyValueStoreClient({
+  region: "us-east-1",
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
 /**
  * Invalidate CloudFront cache for specific deployment
  */
@@ -58,87 +103,6 @@ async function invalidateDeploymentCache(distributionId, deploymentId) {
   }
 }
 
-/**
- * Fix Vite config to use relative paths
- */
-async function fixViteConfig(buildDirectory, deploymentId) {
-  const viteConfigPath = path.join(buildDirectory, "vite.config.js");
-  const viteConfigTsPath = path.join(buildDirectory, "vite.config.ts");
-  
-  let configPath = null;
-  if (fs.existsSync(viteConfigPath)) {
-    configPath = viteConfigPath;
-  } else if (fs.existsSync(viteConfigTsPath)) {
-    configPath = viteConfigTsPath;
-  }
-  
-  if (configPath) {
-    // Read existing config
-    let configContent = await fsPromises.readFile(configPath, 'utf8');
-    
-    // Check if base is already set
-    if (configContent.includes('base:')) {
-      // Replace existing base with relative path
-      configContent = configContent.replace(
-        /base:\s*['"][^'"]*['"]/g,
-        "base: './'"
-      );
-    } else {
-      // Add base to the config object
-      // Find the export default defineConfig({ ... }) pattern
-      if (configContent.includes('defineConfig({')) {
-        configContent = configContent.replace(
-          /defineConfig\(\s*{/,
-          "defineConfig({\n  base: './',"
-        );
-      } else if (configContent.includes('export default {')) {
-        configContent = configContent.replace(
-          /export default\s*{/,
-          "export default {\n  base: './',"
-        );
-      }
-    }
-    
-    // Write back the modified config
-    await fsPromises.writeFile(configPath, configContent, 'utf8');
-    return true;
-  }
-  
-  // If no vite.config exists, create one
-  const newConfig = `import { defineConfig } from 'vite'
-
-export default defineConfig({
-  base: './',
-})
-`;
-  
-  await fsPromises.writeFile(viteConfigPath, newConfig, 'utf8');
-  return true;
-}
-
-/**
- * Fix Create React App by adding homepage to package.json
- */
-async function fixCreateReactApp(buildDirectory) {
-  const packageJsonPath = path.join(buildDirectory, "package.json");
-  
-  if (fs.existsSync(packageJsonPath)) {
-    const packageJson = JSON.parse(await fsPromises.readFile(packageJsonPath, 'utf8'));
-    
-    // Add homepage field for relative paths
-    packageJson.homepage = ".";
-    
-    await fsPromises.writeFile(
-      packageJsonPath, 
-      JSON.stringify(packageJson, null, 2), 
-      'utf8'
-    );
-    return true;
-  }
-  
-  return false;
-}
-
 /**
  * Get all files recursively
  */
@@ -148,9 +112,11 @@ function getAllFiles(folderPath) {
 
   allFilesAndFolders.forEach((file) => {
     const fullFilePath = path.join(folderPath, file);
-    if (fs.statSync(fullFilePath).isDirectory()) {
+    // lstat so a symbolic link is never followed to a file outside the output
+    const stats = fs.lstatSync(fullFilePath);
+    if (stats.isDirectory()) {
       response = response.concat(getAllFiles(fullFilePath));
-    } else {
+    } else if (stats.isFile()) {
       response.push(fullFilePath);
     }
   });
@@ -205,44 +171,135 @@ function searchForFolder(basePath, targetFolderName) {
 }
 
 /**
- * Upload a single file to S3
+ * PutObjectCommand parameters for a file, without the body (the upload pool streams it)
  */
-async function uploadFileToS3(filePath, s3Key, bucketName) {
-  const fileContent = fs.readFileSync(filePath);
-  
-  const ext = path.extname(filePath).toLowerCase();
-  const contentTypeMap = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon',
-    '.txt': 'text/plain',
-    '.pdf': 'application/pdf',
-    '.woff': 'font/woff',
-    '.woff2': 'font/woff2',
-    '.ttf': 'font/ttf',
-    '.eot': 'application/vnd.ms-fontobject',
+function objectParams(s3Key, bucketName, contentType, cacheControl, headerOverrides = {}) {
+  return {
+    Bucket: bucketName,
+    Key: s3Key,
+    ContentType: contentType,
+    CacheControl: cacheControl,
+    ...headerOverrides,
   };
+}
 
-  const contentType = contentTypeMap[ext] || 'application/octet-stream';
+/**
+ * Upload a redirect page. WebsiteRedirectLocation covers the S3 website endpoint;
+ * the meta refresh covers CloudFront serving the object through the REST endpoint.
+ */
+async function uploadRedirectToS3(redirect, deploymentId, bucketName) {
+  const destination = redirect.destination.startsWith('/')
+    ? `/${deploymentId}${redirect.destination}`
+    : redirect.destination;
+  const escaped = destination.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
 
   const command = new PutObjectCommand({
     Bucket: bucketName,
-    Key: s3Key,
-    Body: fileContent,
-    ContentType: contentType,
-    CacheControl: 'public, max-age=31536000',
+    Key: `${deploymentId}/${redirect.source.replace(/^\/+/, '')}`,
+    Body: `<!DOCTYPE html><meta charset="utf-8"><meta http-equiv="refresh" content="0; url=${escaped}"><link rel="canonical" href="${escaped}">`,
+    ContentType: 'text/html',
+    CacheControl: 'no-cache',
+    WebsiteRedirectLocation: destination,
   });
 
   await s3.send(command);
 }
 
+/**
+ * Resolve the explicit output directory, refusing paths that escape the build directory
+ */
+function resolveOutputDirectory(buildDirectory, outputDirectory) {
+  const resolved = path.resolve(buildDirectory, outputDirectory);
+  const relative = path.relative(buildDirectory, resolved);
+
+  if (relative.startsWith("..") || path.isAbsolute(relative)) {
+    throw new Error(`Output directory "${outputDirectory}" must be inside the build path`);
+  }
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Output directory "${outputDirectory}" not found in the build path`);
+  }
+
+  return resolved;
+}
+
+function isInsideDirectory(directory, target) {
+  const relative = path.relative(directory, target);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * Copy a build output or source folder to dist/. Symbolic links are copied as links, never
+ * followed; a link that resolves outside the folder (or doesn't resolve) fails the deployment,
+ * as does a folder that is itself a link out of the checkout.
+ * @param {string} sourceDirectory
+ * @param {string} destination
+ * @param {object} options
+ * @param {string} options.checkout - Directory the folder must really be inside
+ * @param {boolean} [options.asSite] - Leave out .git, node_modules and .env files (source published as-is)
+ */
+async function copyOutputFolder(sourceDirectory, destination, { checkout, asSite = false }) {
+  const root = await fsPromises.realpath(sourceDirectory);
+  if (!isInsideDirectory(await fsPromises.realpath(checkout), root)) {
+    throw new Error(`${path.relative(checkout, sourceDirectory)} resolves to a folder outside the repository`);
+  }
+
+  const escaping = [];
+  await fsPromises.mkdir(path.dirname(destination), { recursive: true });
+  await fsPromises.cp(sourceDirectory, destination, {
+    recursive: true,
+    dereference: false,
+    verbatimSymlinks: true,
+    filter: async (source) => {
+      if (source === sourceDirectory) return true;
+      if (asSite && isNeverPublished(path.basename(source))) return false;
+      if (!(await fsPromises.lstat(source)).isSymbolicLink()) return true;
+
+      const target = await fsPromises.realpath(source).catch(() => null);
+      if (target && isInsideDirectory(root, target)) return true;
+      escaping.push(path.relative(sourceDirectory, source).split(path.sep).join("/"));
+      return false;
+    },
+  });
+
+  if (escaping.length > 0) {
+    throw new Error(`The output contains symbolic links pointing outside it: ${escaping.slice(0, 5).join(", ")}`);
+  }
+}
+
+/**
+ * Run a lifecycle hook from the deploy config as its own step; a non-zero exit fails the deployment
+ */
+async function runHook(job, name, command, { sandbox, ...options }) {
+  if (!command) return;
+  await job.log(`=== ${name} ===`);
+  await job.log(`$ ${command}`);
+  await sandbox.run(command, { ...options, label: `${name} hook` });
+  await job.log(`✓ ${name} finished`);
+}
+
+/**
+ * Load deployer.json from a directory, logging each validation error
+ */
+async function readDeployConfig(job, directory, rootDirectory) {
+  if (fs.existsSync(path.join(directory, "deployer.config.js"))) {
+    await job.log(`⚠️ deployer.config.js is not supported (it would run repository code in the worker) - use ${CONFIG_FILE_NAME}`);
+  }
+
+  try {
+    const loaded = await loadDeployConfig(directory, rootDirectory);
+    if (loaded) {
+      await job.log(`✓ Loaded ${loaded.file}`);
+    }
+    return loaded?.config || null;
+  } catch (error) {
+    await job.log(`✗ Invalid deploy configuration:`);
+    for (const message of error.errors || []) {
+      await job.log(`  - ${message}`);
+    }
+    throw error;
+  }
+}
+
 /**
  * Main build and deploy process
  */
@@ -251,46 +308,140 @@ async function buildAndDeploy(job) {
     repoUrl, 
     deploymentId, 
     repoName, 
-    branch = "main", 
-    buildPath = "",
+    ref = job.data.branch || "", // jobs queued before refs were supported only carry a branch
     backendUrl = "",
     envVariables = "",
+    buildTimeout = DEFAULT_BUILD_TIMEOUT_MINUTES,
+    gitCredentialId,
+    submodules = null, // true/false forces it, null detects .gitmodules
+    lfs = null, // true/false forces it, null detects filter=lfs in .gitattributes
     distributionId = process.env.CLOUDFRONT_DISTRIBUTION_ID
   } = job.data;
   
+  // Settings sent with the deployment override the repository's deployer.json
+  const requestConfig = {
+    buildPath: job.data.buildPath,
+    preInstall: job.data.preInstall,
+    installCommand: job.data.installCommand,
+    preBuild: job.data.preBuild,
+    buildCommand: job.data.buildCommand,
+    postBuild: job.data.postBuild,
+    outputDirectory: job.data.outputDirectory,
+    framework: job.data.framework,
+    nodeVersion: job.data.nodeVersion,
+    secretScan: job.data.secretScan,
+    compression: job.data.compression,
+  };
+  
   console.log(`Starting build & deploy for: ${deploymentId}`);
-  console.log(`Build path parameter: "${buildPath}"`);
+  console.log(`Build path parameter: "${requestConfig.buildPath || ""}"`);
   await job.updateProgress(5);
   
   const bucket = process.env.AWS_S3_BUCKET_NAME || "aws-auto-deployer";
   const projectRoot = path.resolve(__dirname, "../..");
-  const tempClonePath = path.join(projectRoot, "temp", `clone-${deploymentId}`);
+  // Everything the build may write lives under the sandbox root: the checkout, HOME and TMPDIR
+  const sandboxRoot = path.join(projectRoot, "temp", `clone-${deploymentId}`);
+  const tempClonePath = path.join(sandboxRoot, "repo");
   const finalDistPath = path.join(projectRoot, "dist", deploymentId);
+  let packageManagerInfo = null;
+  let dependencyCacheInfo = null;
+  let frameworkInfo = null;
+  let nodeVersionInfo = null;
+  let commitInfo = null;
+  let secretScanInfo = null;
+  let sizeReport = null;
+  
+  // Private repositories are cloned with the token the deploy route stored for this job
+  const gitToken = await readGitCredential(gitCredentialId);
+  const gitAuth = gitAuthEnvironment(repoUrl, gitToken);
+  const buildLog = createBuildLog(job, { secrets: gitAuth.secrets });
+  let willRetry = false;
+  
+  // Aborted by a cancel request or the build timeout; kills whatever command is running
+  const controller = new AbortController();
+  const { signal } = controller;
+  activeDeployments.set(job.id, controller);
+  const buildTimer = setTimeout(() => {
+    controller.abort(new DeploymentAbortedError(`Build timed out after ${buildTimeout} minute(s)`, "timeout"));
+  }, buildTimeout * 60 * 1000);
   
   try {
+    if (await isCancellationRequested(job.id)) {
+      throw new DeploymentAbortedError("Deployment cancelled before it started", "cancelled");
+    }
+    
     // Step 1: Clone repository
-    await job.log(`Cloning repository: ${repoUrl}`);
-    await fsPromises.mkdir(path.dirname(tempClonePath), { recursive: true });
+    await job.log(`Cloning repository: ${repoUrl} (${ref || "default branch"})`);
+    await job.log(`Build timeout: ${buildTimeout} minute(s)`);
+    await fsPromises.mkdir(sandboxRoot, { recursive: true });
     
-    const cloneCommand = `git clone ${repoUrl} "${tempClonePath}"`;
-    await execAsync(cloneCommand, { maxBuffer: 1024 * 1024 * 10 });
-    await job.updateProgress(15);
+    if (gitCredentialId && !gitToken) {
+      await job.log("⚠️ GitHub credential for this deployment has expired - cloning without authentication");
+    } else if (gitAuth.secrets.length > 0) {
+      await job.log("Using your GitHub credentials for this clone");
+    }
+    
+    const gitEnv = { ...process.env, ...gitAuth.env };
+    const checkout = await shallowCheckout({
+      repoUrl,
+      ref,
+      directory: tempClonePath,
+      env: gitEnv,
+      log: buildLog,
+      signal
+    });
+    commitInfo = { ref: checkout.ref, ...(await readHeadCommit(tempClonePath)), submodules: [], lfsObjects: 0 };
+    await job.log(`✓ Checked out ${commitInfo.ref} at ${commitInfo.sha}`);
+    await job.log(`  ${commitInfo.message.split("\n")[0]} - ${commitInfo.author.name}, ${commitInfo.date}`);
     
-    // Checkout branch
-    if (branch && branch !== "main" && branch !== "master") {
-      await job.log(`Checking out branch: ${branch}`);
-      await execAsync(`cd "${tempClonePath}" && git checkout ${branch}`);
+    // Submodules and LFS use the same credentials as the main clone
+    if (submodules ?? hasSubmodules(tempClonePath)) {
+      await job.log(`Checking out submodules${submodules ? "" : " (detected .gitmodules)"}...`);
+      commitInfo.submodules = await fetchSubmodules({ directory: tempClonePath, env: gitEnv, log: buildLog, signal });
+      for (const submodule of commitInfo.submodules) {
+        await job.log(`  ✓ ${submodule.path} @ ${submodule.sha.slice(0, 12)}`);
+      }
+      await job.log(`✓ ${commitInfo.submodules.length} submodule(s) checked out`);
+    } else if (hasSubmodules(tempClonePath)) {
+      await job.log("ℹ️ Submodules disabled for this deployment - .gitmodules ignored");
     }
     
+    const lfsDetected = usesLfs(tempClonePath, commitInfo.submodules);
+    if (lfs ?? lfsDetected) {
+      await job.log(`Pulling Git LFS objects${lfs ? "" : " (detected filter=lfs in .gitattributes)"}...`);
+      commitInfo.lfsObjects = await pullLfsObjects({
+        directory: tempClonePath,
+        env: gitEnv,
+        log: buildLog,
+        signal,
+        includeSubmodules: commitInfo.submodules.length > 0
+      });
+      await job.log(`✓ ${commitInfo.lfsObjects} LFS object(s) fetched`);
+    } else if (lfsDetected) {
+      await job.log("⚠️ Git LFS disabled for this deployment - LFS files are deployed as pointer files");
+    }
+    await job.updateProgress(15);
+    
     // Log repository structure
     await job.log("=== Repository Structure ===");
     const rootContents = fs.readdirSync(tempClonePath);
     await job.log(`Root contains: ${rootContents.join(", ")}`);
     
+    // Read deployer.json from the repository root
+    const rootConfig = await readDeployConfig(job, tempClonePath, tempClonePath);
+    let deployConfig = mergeDeployConfig(rootConfig, requestConfig);
+    const buildPath = deployConfig.buildPath || "";
+    
+    // Workspace packages of a monorepo, used to resolve package names and build internal dependencies
+    const workspace = discoverWorkspaces(tempClonePath);
+    if (workspace.tools.length > 0) {
+      await job.log(`Workspaces: ${workspace.tools.join(", ")} (${workspace.packages.length} package(s))`);
+    }
+    
     // Determine build directory
     let buildDirectory;
     
-    if (!buildPath || buildPath.trim() === "") {
+    if (!buildPath) {
       buildDirectory = tempClonePath;
       await job.log("Using repository root");
     } else {
@@ -299,6 +450,10 @@ async function buildAndDeploy(job) {
       if (fs.existsSync(directPath) && fs.statSync(directPath).isDirectory()) {
         buildDirectory = directPath;
         await job.log(`✓ Found at direct path: ${buildPath}`);
+      } else if (workspace.packages.some((workspacePackage) => workspacePackage.name === buildPath)) {
+        const { path: packagePath } = workspace.packages.find((workspacePackage) => workspacePackage.name === buildPath);
+        buildDirectory = path.join(tempClonePath, packagePath);
+        await job.log(`✓ Found workspace package ${buildPath} at: ${packagePath}`);
       } else {
         await job.log(`Searching for folder: "${buildPath}"...`);
         const foundPath = searchForFolder(tempClonePath, buildPath);
@@ -317,7 +472,28 @@ async function buildAndDeploy(job) {
           throw new Error(`Folder "${buildPath}" not found in repository`);
         }
       }
+      
+      // The build path comes from the request or deployer.json and may name a link, so check where it really is
+      if (!isInsideDirectory(fs.realpathSync(tempClonePath), fs.realpathSync(buildDirectory))) {
+        throw new Error(`Build path "${buildPath}" must be inside the repository`);
+      }
+      
+      // A deployer.json inside the build path takes precedence over the root one
+      const nestedConfig = await readDeployConfig(job, buildDirectory, tempClonePath);
+      if (nestedConfig) {
+        if (nestedConfig.buildPath) {
+          await job.log(`  ⚠️ Ignoring buildPath in ${path.relative(tempClonePath, buildDirectory)}/${CONFIG_FILE_NAME}`);
+        }
+        deployConfig = mergeDeployConfig(rootConfig, { ...nestedConfig, buildPath }, requestConfig);
+      }
+    }
+    
+    await job.log("=== Effective Deploy Config ===");
+    for (const line of describeDeployConfig(deployConfig)) {
+      await job.log(line);
     }
+    const { installCommand, buildCommand: customBuildCommand, outputDirectory } = deployConfig;
+    const hooks = ["preInstall", "preBuild", "postBuild"].filter((name) => deployConfig[name]);
     
     // Verify package.json
     const packageJsonPath = path.join(buildDirectory, "package.json");
@@ -325,95 +501,152 @@ async function buildAndDeploy(job) {
     
     if (!hasPackageJson) {
       await job.log("ℹ️ No package.json found - treating as static site");
+      if (hooks.length > 0) {
+        await job.log(`⚠️ Ignoring ${hooks.join(", ")} - hooks need a package.json to pick the Node.js toolchain`);
+      }
       await job.log(`Directory contains: ${fs.readdirSync(buildDirectory).join(", ")}`);
       
       await job.updateProgress(75);
       
+      const staticDirectory = outputDirectory
+        ? resolveOutputDirectory(buildDirectory, outputDirectory)
+        : buildDirectory;
+      
       await job.log(`Copying static files to dist/${deploymentId}...`);
-      await fsPromises.mkdir(path.dirname(finalDistPath), { recursive: true });
-      await fsPromises.cp(buildDirectory, finalDistPath, { recursive: true });
+      await copyOutputFolder(staticDirectory, finalDistPath, { checkout: tempClonePath, asSite: true });
       await job.log("✓ Static files copied");
       
     } else {
       await job.log("✓ package.json found");
       
       const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-      const hasBuildScript = packageJson.scripts && packageJson.scripts.build;
-      const hasDependencies = packageJson.dependencies || packageJson.devDependencies;
       
-      // Detect project type
-      const isVite = hasDependencies && (
-        packageJson.dependencies?.vite || 
-        packageJson.devDependencies?.vite
-      );
-      const isCRA = hasDependencies && (
-        packageJson.dependencies?.['react-scripts'] ||
-        packageJson.devDependencies?.['react-scripts']
-      );
+      // Pick the Node.js toolchain before anything is installed so unsupported versions fail fast
+      let nodeRequirement;
+      if (requestConfig.nodeVersion?.trim()) {
+        nodeRequirement = { value: requestConfig.nodeVersion.trim(), source: "deployment settings" };
+      } else if (deployConfig.nodeVersion) {
+        nodeRequirement = { value: deployConfig.nodeVersion, source: CONFIG_FILE_NAME };
+      } else {
+        nodeRequirement = findNodeVersionRequirement(buildDirectory, tempClonePath);
+      }
+      const nodeToolchain = await selectNodeToolchain(nodeRequirement);
+      nodeVersionInfo = {
+        version: nodeToolchain.version,
+        requested: nodeToolchain.requested,
+        source: nodeToolchain.source,
+      };
+      await job.log(nodeRequirement
+        ? `Node.js: ${nodeToolchain.version} (${nodeRequirement.value} from ${nodeRequirement.source})`
+        : `Node.js: ${nodeToolchain.version} (worker default)`);
+      if (nodeToolchain.note) {
+        await job.log(`  ⚠️ ${nodeToolchain.note}`);
+      }
+      for (const { name, reason } of nodeToolchain.skipped) {
+        await job.log(`  ⚠️ Skipped Node.js toolchain ${name} in NODE_TOOLCHAINS_DIR: ${reason}`);
+      }
+      
+      // Install and build run in the sandbox; only the worker holds AWS and Redis credentials
+      const sandbox = await createSandbox({ root: sandboxRoot, name: `deployer-${deploymentId}`, nodeToolchain });
+      await job.log(sandbox.image ? `Sandbox: ${sandbox.describe()}` : `⚠️ Sandbox ${sandbox.describe()}`);
+      const hasBuildScript = (packageJson.scripts && packageJson.scripts.build) || customBuildCommand;
+      const hasDependencies = packageJson.dependencies || packageJson.devDependencies || installCommand;
       
       await job.log(`Has dependencies: ${!!hasDependencies ? 'Yes' : 'No'}`);
       await job.log(`Has build script: ${hasBuildScript ? 'Yes' : 'No'}`);
-      if (isVite) await job.log(`Detected: Vite project`);
-      if (isCRA) await job.log(`Detected: Create React App`);
       
-      // Create .env files with custom variables AND build environment
-      let envContent = '';
-      let envVarsCount = 0;
-      const buildEnv = { ...process.env }; // Start with current environment
+      // Detect the framework, unless the deployment names one ("none" disables presets)
+      const presetContext = { directory: buildDirectory, packageJson };
+      let preset = null;
+      if (deployConfig.framework === "none") {
+        await job.log("Framework: none (presets disabled)");
+      } else if (deployConfig.framework) {
+        preset = getPreset(deployConfig.framework);
+        if (!preset) {
+          throw new Error(`Unknown framework "${deployConfig.framework}"`);
+        }
+        await job.log(`Framework: ${preset.name} (override)`);
+      } else {
+        preset = detectPreset(presetContext);
+        await job.log(preset ? `Detected: ${preset.name}` : "Framework: not detected");
+      }
+      frameworkInfo = preset
+        ? { id: preset.id, name: preset.name, overridden: Boolean(deployConfig.framework) }
+        : null;
+      
+      // Workspace packages install from the monorepo root so internal packages get linked
+      const workspacePackage = workspace.tools.length > 0
+        ? workspace.packages.find((candidate) => candidate.path && path.join(tempClonePath, candidate.path) === buildDirectory)
+        : null;
+      const packageManager = detectPackageManager(buildDirectory, tempClonePath, {
+        workspaceRoot: workspacePackage ? tempClonePath : null,
+      });
+      if (workspacePackage) {
+        await job.log(`Workspace package: ${workspacePackage.name}`);
+      }
       
-      // Remove NODE_ENV=production during build to ensure devDependencies are installed
-      delete buildEnv.NODE_ENV;
+      // Nothing from the worker's environment except the sandbox basics; NODE_ENV is left
+      // unset so devDependencies are installed
+      const buildEnv = sandbox.env();
       
-      // Ensure node_modules/.bin is in PATH for npm scripts to find executables
+      // Path the site is served under, for frameworks whose base can only be set in their own config
+      buildEnv.DEPLOY_BASE_PATH = `/${deploymentId}/`;
+      
+      // Ensure node_modules/.bin is in PATH for npm scripts to find executables,
+      // followed by the selected toolchain so node, npm, npx and corepack resolve to it
       const nodeBinPath = path.join(buildDirectory, 'node_modules', '.bin');
-      buildEnv.PATH = `${nodeBinPath}:${buildEnv.PATH || '/usr/local/bin:/usr/bin:/bin'}`;
+      buildEnv.PATH = `${nodeBinPath}:${buildEnv.PATH}`;
+      if (packageManager.installDirectory !== buildDirectory) {
+        // Workspace installs hoist binaries to the root node_modules
+        buildEnv.PATH = `${path.join(packageManager.installDirectory, 'node_modules', '.bin')}:${buildEnv.PATH}`;
+      }
+      Object.assign(buildEnv, packageManagerEnv());
       
-      // Add backend URL variables if provided
+      // corepack and npx download the package manager on first use, into HOME in the workspace
+      const packageManagerVersion = await getPackageManagerVersion(packageManager, (command) =>
+        sandbox.output(command, { env: buildEnv, cwd: buildDirectory, signal, online: true })
+      );
+      packageManagerInfo = {
+        name: packageManager.name,
+        version: packageManagerVersion,
+        lockfile: packageManager.lockfile,
+      };
+      await job.log(`Package manager: ${packageManager.name} ${packageManagerVersion}`);
+      if (packageManager.defaultVersion) {
+        await job.log(`  ℹ️ No "packageManager" pin for ${packageManager.name} - using ${packageManager.defaultVersion} (BUN_DEFAULT_VERSION)`);
+      }
+      await job.log(packageManager.lockfile
+        ? `  Lockfile: ${packageManager.lockfile}`
+        : `  ⚠️ No lockfile found - dependency versions are not pinned`);
+      
+      // Variables for .env files AND the build environment; custom ones override the backend URL shortcut
+      const buildVariables = {};
       if (backendUrl) {
         await job.log(`Configuring backend URL: ${backendUrl}`);
-        envContent += `REACT_APP_API_URL=${backendUrl}\n`;
-        envContent += `VITE_API_URL=${backendUrl}\n`;
-        envContent += `NEXT_PUBLIC_API_URL=${backendUrl}\n`;
-        
-        // Also add to build environment
-        buildEnv.REACT_APP_API_URL = backendUrl;
-        buildEnv.VITE_API_URL = backendUrl;
-        buildEnv.NEXT_PUBLIC_API_URL = backendUrl;
-        
-        envVarsCount += 3;
+        for (const key of ['REACT_APP_API_URL', 'VITE_API_URL', 'NEXT_PUBLIC_API_URL']) {
+          buildVariables[key] = backendUrl;
+        }
       }
       
-      // Parse and add custom environment variables
       if (envVariables) {
         await job.log('Parsing custom environment variables...');
-        const lines = envVariables.split('\n');
+        const { variables, errors } = parseEnv(envVariables);
         
-        for (const line of lines) {
-          const trimmedLine = line.trim();
-          // Skip empty lines and comments
-          if (!trimmedLine || trimmedLine.startsWith('#')) continue;
-          
-          // Validate KEY=VALUE format
-          if (trimmedLine.includes('=')) {
-            const [key, ...valueParts] = trimmedLine.split('=');
-            const value = valueParts.join('='); // Handle values with = in them
-            
-            if (key.trim()) {
-              const cleanKey = key.trim();
-              const cleanValue = value.trim();
-              
-              envContent += `${cleanKey}=${cleanValue}\n`;
-              buildEnv[cleanKey] = cleanValue; // Add to build environment
-              
-              envVarsCount++;
-              await job.log(`  + ${cleanKey}`);
-            }
-          } else {
-            await job.log(`  ⚠️ Skipping invalid line: ${trimmedLine}`);
-          }
+        // POST /api/deploy rejects these up front; only jobs queued some other way get here
+        for (const { line, message } of errors) {
+          await job.log(`  ⚠️ Skipping line ${line}: ${message}`);
+        }
+        for (const key of Object.keys(variables)) {
+          await job.log(`  + ${key}`);
         }
+        Object.assign(buildVariables, variables);
       }
       
+      Object.assign(buildEnv, buildVariables);
+      const providedEnvKeys = new Set(Object.keys(buildVariables));
+      const envVarsCount = providedEnvKeys.size;
+      const envContent = formatEnvFile(buildVariables);
+      
       // Write environment files if we have any variables
       if (envContent) {
         // Create .env
@@ -436,19 +669,77 @@ async function buildAndDeploy(job) {
         await job.log(`   Add variables in the deployment form to configure your build`);
       }
       
+      // Variables declared in deployer.json that the deployment didn't supply
+      const missingEnvKeys = deployConfig.env.filter((key) => !providedEnvKeys.has(key));
+      if (missingEnvKeys.length > 0) {
+        await job.log(`⚠️ Missing declared environment variable(s): ${missingEnvKeys.join(", ")}`);
+      }
+      
+      // Hooks run from the build path in the same sandbox and environment as the build
+      const hookOptions = { sandbox, env: buildEnv, cwd: buildDirectory, log: buildLog, signal };
+      await runHook(job, "preInstall", deployConfig.preInstall, { ...hookOptions, online: true });
+      
       // Install dependencies if they exist
       if (hasDependencies) {
-        await job.log("Installing dependencies...");
+        // A custom install command runs from the build path; the detected one from the lockfile's directory
+        const installDirectory = installCommand ? buildDirectory : packageManager.installDirectory;
+        await job.log(`Installing dependencies: ${formatCommand(installCommand || packageManager.installCommand)}`);
+        if (installDirectory !== buildDirectory) {
+          await job.log(`  Running in: ${path.relative(tempClonePath, installDirectory) || '.'}`);
+        }
         await job.updateProgress(20);
         
-        await execAsync(`npm install`, {
-          maxBuffer: 1024 * 1024 * 50,
-          env: buildEnv, // Pass environment variables
-          cwd: buildDirectory
+        // Reuse the package manager store from a previous build with the same lockfile
+        const cacheKey = computeCacheKey({
+          lockfilePath: packageManager.lockfile && path.join(tempClonePath, packageManager.lockfile),
+          packageManager: packageManager.name,
+          nodeVersion: `v${nodeToolchain.version}`,
         });
+        let dependencyCache = null;
+        
+        if (cacheKey) {
+          dependencyCache = await acquireDependencyCache(cacheKey, packageManager.name);
+          dependencyCacheInfo = { key: cacheKey, hit: dependencyCache.hit };
+          await job.log(dependencyCache.hit
+            ? `✓ Dependency cache hit (${cacheKey.slice(0, 12)})`
+            : `Dependency cache miss (${cacheKey.slice(0, 12)}) - installing from registry`);
+        } else {
+          dependencyCacheInfo = { key: null, hit: false };
+          await job.log("Dependency cache skipped - no lockfile to key on");
+        }
+        
+        try {
+          await sandbox.run(installCommand || packageManager.installCommand, {
+            env: { ...buildEnv, ...dependencyCache?.env }, // Pass environment variables
+            cwd: installDirectory,
+            log: buildLog,
+            label: "Install",
+            signal,
+            mounts: dependencyCache ? [dependencyCache.directory] : [],
+            online: true,
+          });
+        } catch (installError) {
+          if (dependencyCache) {
+            await releaseDependencyCache(dependencyCache, { success: false });
+          }
+          throw installError;
+        }
         await job.log("✓ Dependencies installed");
         
+        if (dependencyCache) {
+          const evicted = await releaseDependencyCache(dependencyCache, {
+            success: true,
+            packageManager: packageManager.name,
+            nodeVersion: `v${nodeToolchain.version}`,
+          });
+          if (evicted.length > 0) {
+            await job.log(`  Evicted ${evicted.length} old dependency cache entr${evicted.length === 1 ? 'y' : 'ies'}`);
+          }
+        }
+        
         // Fix build scripts to use npx for Alpine Linux compatibility
+        const isVite = preset?.id === "vite";
+        const isCRA = preset?.id === "create-react-app";
         if (isVite || isCRA) {
           const pkgJsonPath = path.join(buildDirectory, 'package.json');
           const pkgJson = JSON.parse(await fsPromises.readFile(pkgJsonPath, 'utf8'));
@@ -467,101 +758,317 @@ async function buildAndDeploy(job) {
           }
         }
         
+        // Workspace packages the app depends on are built first, dependencies before dependents
+        const dependencyBuilds = workspacePackage ? internalBuildOrder(workspace.packages, workspacePackage) : [];
+        if (dependencyBuilds.length > 0 && customBuildCommand) {
+          await job.log(`ℹ️ Custom build command set - not building internal dependencies (${dependencyBuilds.map((dependency) => dependency.name).join(", ")})`);
+        } else if (dependencyBuilds.length > 0) {
+          await job.log(`Building ${dependencyBuilds.length} internal dependenc${dependencyBuilds.length === 1 ? 'y' : 'ies'} of ${workspacePackage.name}...`);
+          for (const dependency of dependencyBuilds) {
+            await job.log(`  → ${dependency.name} (${dependency.path})`);
+            await sandbox.run(packageManager.runCommand("build"), {
+              cwd: path.join(tempClonePath, dependency.path),
+              env: buildEnv,
+              log: buildLog,
+              label: `Build of ${dependency.name}`,
+              signal
+            });
+          }
+          await job.log("✓ Internal dependencies built");
+        }
+        
         await job.updateProgress(40);
       } else {
         await job.updateProgress(40);
       }
       
       // Fix build configuration for relative paths
-      if (isVite) {
-        await job.log("Configuring Vite for relative paths...");
-        await fixViteConfig(buildDirectory, deploymentId);
-        await job.log("✓ Vite config updated");
-      } else if (isCRA) {
-        await job.log("Configuring Create React App for relative paths...");
-        await fixCreateReactApp(buildDirectory);
-        await job.log("✓ Package.json updated");
+      let presetBuildArgs = [];
+      if (preset && hasBuildScript) {
+        await job.log(`Configuring ${preset.name} for the /${deploymentId}/ prefix...`);
+        const { buildArgs = [], notes = [] } = await preset.configureBase({
+          ...presetContext,
+          basePath: `/${deploymentId}/`,
+        });
+        presetBuildArgs = buildArgs;
+        for (const note of notes) {
+          await job.log(`  ${note}`);
+        }
       }
       
       await job.updateProgress(50);
       
+      await runHook(job, "preBuild", deployConfig.preBuild, hookOptions);
+      
       // Build project if build script exists
       if (hasBuildScript) {
-        await job.log("Building project...");
+        if (customBuildCommand && presetBuildArgs.length > 0) {
+          await job.log(`  ⚠️ Custom build command set - not adding ${presetBuildArgs.join(" ")}`);
+        }
+        const buildCommand = customBuildCommand || packageManager.runCommand("build", presetBuildArgs);
+        await job.log(`Building project: ${formatCommand(buildCommand)}`);
         await job.log("Injecting environment variables into build...");
-        await execAsync(`npm run build`, {
-          maxBuffer: 1024 * 1024 * 50,
+        await sandbox.run(buildCommand, {
           env: buildEnv, // Pass environment variables to build
-          cwd: buildDirectory
+          cwd: buildDirectory,
+          log: buildLog,
+          label: "Build",
+          signal
         });
         await job.log("✓ Build complete");
         await job.updateProgress(70);
         
+        await runHook(job, "postBuild", deployConfig.postBuild, hookOptions);
+        
         // Find build output
         await job.log("=== Locating Build Output ===");
         const afterBuild = fs.readdirSync(buildDirectory);
         await job.log(`Build directory now contains: ${afterBuild.join(", ")}`);
         
-        const possibleBuildDirs = ['dist', 'build', 'out', '.next'];
         let buildOutputDir = null;
         
-        for (const dir of possibleBuildDirs) {
-          const checkPath = path.join(buildDirectory, dir);
-          if (fs.existsSync(checkPath)) {
-            buildOutputDir = checkPath;
-            await job.log(`✓ Using build output: ${dir}/`);
-            break;
+        if (outputDirectory) {
+          buildOutputDir = resolveOutputDirectory(buildDirectory, outputDirectory);
+          await job.log(`✓ Using configured build output: ${outputDirectory}`);
+        } else if (preset) {
+          const presetOutput = presetOutputDirectory(preset, presetContext);
+          if (!fs.existsSync(path.join(buildDirectory, presetOutput))) {
+            throw new Error(
+              `${preset.name} build output "${presetOutput}" not found. Set an output directory for this deployment.`
+            );
+          }
+          buildOutputDir = resolveOutputDirectory(buildDirectory, presetOutput);
+          await job.log(`✓ Using ${preset.name} build output: ${presetOutput}/`);
+        } else {
+          const possibleBuildDirs = ['dist', 'build', 'out'];
+          
+          for (const dir of possibleBuildDirs) {
+            const checkPath = path.join(buildDirectory, dir);
+            if (fs.existsSync(checkPath)) {
+              buildOutputDir = checkPath;
+              await job.log(`✓ Using build output: ${dir}/`);
+              break;
+            }
           }
         }
         
+        // Never fall back to the project root - that would publish the source code
         if (!buildOutputDir) {
-          await job.log("⚠️ No build output folder found, using project root");
-          buildOutputDir = buildDirectory;
+          throw new Error(
+            `No build output folder found (looked for dist, build, out). Set an output directory for this deployment.`
+          );
         }
         
         await job.updateProgress(75);
         
         await job.log(`Copying to dist/${deploymentId}...`);
-        await fsPromises.mkdir(path.dirname(finalDistPath), { recursive: true });
-        await fsPromises.cp(buildOutputDir, finalDistPath, { recursive: true });
+        await copyOutputFolder(buildOutputDir, finalDistPath, { checkout: tempClonePath });
         await job.log("✓ Files copied");
         
       } else {
         await job.log("ℹ️ No build script found - treating as pre-built or static");
+        await runHook(job, "postBuild", deployConfig.postBuild, hookOptions);
         await job.updateProgress(75);
         
+        const staticDirectory = outputDirectory
+          ? resolveOutputDirectory(buildDirectory, outputDirectory)
+          : buildDirectory;
+        
         await job.log(`Copying files to dist/${deploymentId}...`);
-        await fsPromises.mkdir(path.dirname(finalDistPath), { recursive: true });
-        await fsPromises.cp(buildDirectory, finalDistPath, { recursive: true });
+        await copyOutputFolder(staticDirectory, finalDistPath, { checkout: tempClonePath, asSite: true });
         await job.log("✓ Files copied");
       }
+      
+      // Server-only values inlined into the files about to be published
+      const secretScanMode = resolveSecretScanMode(deployConfig.secretScan);
+      if (secretScanMode === "off") {
+        await job.log("ℹ️ Secret scan disabled for this deployment");
+      } else if (envVarsCount > 0) {
+        const { secrets, skipped } = findServerOnlyVariables(buildVariables, preset);
+        await job.log(`Scanning build output for ${secrets.length} server-only variable value(s)...`);
+        if (skipped.length > 0) {
+          await job.log(`  ℹ️ Not searched, values too short: ${skipped.join(", ")}`);
+        }
+        
+        const leaks = await scanForSecrets(finalDistPath, secrets);
+        secretScanInfo = { mode: secretScanMode, checked: secrets.length, leaks };
+        for (const leak of leaks) {
+          const more = leak.totalFiles > leak.files.length ? ` (+${leak.totalFiles - leak.files.length} more)` : "";
+          await job.log(`  ⚠️ Value of ${leak.key} found in: ${leak.files.join(", ")}${more}`);
+        }
+        
+        if (leaks.length === 0) {
+          await job.log("✓ No server-only values found in the build output");
+        } else {
+          const prefixes = preset?.publicEnvPrefixes.join(", ") || "the framework's public prefix";
+          await job.log(`  Use ${prefixes} for values meant to be public, otherwise keep the variable out of client code`);
+          if (secretScanMode === "fail") {
+            throw new Error(`Build output contains the value of ${leaks.map((leak) => leak.key).join(", ")}. Deployment stopped before upload.`);
+          }
+        }
+      }
     }
     
-    // Upload to S3
-    await job.log("Uploading to S3...");
+    // The build timeout only covers the user's clone, install and build steps
+    clearTimeout(buildTimer);
+    signal.throwIfAborted();
+    
+    // Make sure the output looks like a website before anything is uploaded
+    await job.log("=== Validating Output ===");
+    const validation = validateArtifacts(finalDistPath);
+    sizeReport = validation.report;
+    await job.log(`${sizeReport.totalFiles} file(s), ${formatSize(sizeReport.totalBytes)}`);
+    for (const directory of sizeReport.directories.slice(0, 5)) {
+      await job.log(`  ${directory.path === "." ? "(root)" : `${directory.path}/`}: ${formatSize(directory.bytes)} in ${directory.files} file(s)`);
+    }
+    if (sizeReport.largestFiles.length > 0) {
+      await job.log(`Largest files: ${sizeReport.largestFiles.slice(0, 3).map((file) => `${file.path} (${formatSize(file.bytes)})`).join(", ")}`);
+    }
+    if (validation.errors.length > 0) {
+      for (const message of validation.errors) {
+        await job.log(`✗ ${message}`);
+      }
+      throw new Error(`Build output failed validation: ${validation.errors.join("; ")}`);
+    }
+    await job.log("✓ Output is valid");
+    
     const allFiles = getAllFiles(finalDistPath);
     const totalFiles = allFiles.length;
-    let uploadedCount = 0;
-    const uploadedFiles = [];
+    const uploadedFiles = allFiles.map((filePath) => path.relative(finalDistPath, filePath).replace(/\\/g, '/'));
     
-    for (const filePath of allFiles) {
-      const relativePath = path.relative(finalDistPath, filePath);
-      const s3Key = `${deploymentId}/${relativePath.replace(/\\/g, '/')}`;
-      
-      await uploadFileToS3(filePath, s3Key, bucket);
-      
-      uploadedCount++;
-      uploadedFiles.push(relativePath);
-      
-      const uploadProgress = 75 + Math.floor((uploadedCount / totalFiles) * 20);
-      await job.updateProgress(uploadProgress);
-      
-      if (uploadedCount % 10 === 0) {
-        await job.log(`Uploaded ${uploadedCount}/${totalFiles} files`);
+    // Variants go to the sandbox folder so the kept output stays exactly what the build produced
+    let compression = null;
+    const kvsArn = process.env.CLOUDFRONT_KVS_ARN;
+    if (resolveCompression(deployConfig.compression) === "on" && !kvsArn) {
+      await job.log("⚠️ Compression is on but CLOUDFRONT_KVS_ARN isn't set, so the variants could never be served - skipping it");
+    } else if (resolveCompression(deployConfig.compression) === "on") {
+      await job.log("=== Compressing ===");
+      compression = await compressArtifacts(finalDistPath, uploadedFiles, path.join(sandboxRoot, "compressed"), { signal });
+      sizeReport.compressed = {
+        files: compression.files,
+        originalBytes: compression.originalBytes,
+        brotliBytes: compression.brotliBytes,
+        gzipBytes: compression.gzipBytes,
+      };
+      await job.log(
+        `✓ Compressed ${compression.files} file(s): ${formatSize(compression.originalBytes)} → ` +
+        `${formatSize(compression.brotliBytes)} Brotli, ${formatSize(compression.gzipBytes)} gzip`
+      );
+      if (compression.skipped.length > 0) {
+        await job.log(
+          `⚠️ Not compressed because the output has a .br or .gz file of the same name, which the routing function ` +
+          `will serve instead: ${compression.skipped.slice(0, 5).join(", ")}`
+        );
+      }
+    }
+    
+    // Upload to S3
+    await job.log("Uploading to S3...");
+    const resolveHeaders = createHeaderResolver(deployConfig.headers);
+    const resolveContentType = createContentTypeResolver(deployConfig.contentTypes);
+    
+    // Files identical to one in the project's previous deployment are copied inside S3 instead of uploaded
+    const project = projectKey(repoUrl, deployConfig.buildPath || "");
+    const previousManifest = await readLatestManifest(s3, bucket, project).catch(async (error) => {
+      await job.log(`⚠️ Could not read the previous deployment's manifest (${error.message}) - uploading every file`);
+      return null;
+    });
+    const previousKeys = new Map(
+      Object.entries(previousManifest?.files || {}).map(([relativePath, entry]) => [entry.sha256, `${previousManifest.deploymentId}/${relativePath}`])
+    );
+    if (previousManifest) {
+      await job.log(`Comparing with previous deployment ${previousManifest.deploymentId} (${previousKeys.size} distinct file(s))`);
+    }
+    
+    const manifestFiles = {};
+    const uploads = [];
+    const cachePolicies = { revalidate: 0, immutable: 0, default: 0, custom: 0 };
+    // A compressed variant gets the content type, cache policy and header rules of the file it was made from
+    const addUpload = async (filePath, relativePath, sitePath = relativePath, contentEncoding = undefined) => {
+      const sha256 = await hashFile(filePath);
+      manifestFiles[relativePath] = { sha256, size: fs.statSync(filePath).size };
+
+      const { policy, cacheControl } = defaultCachePolicy(sitePath);
+      const headers = resolveHeaders(sitePath);
+      if (contentEncoding) {
+        headers.ContentEncoding = contentEncoding;
+      } else {
+        cachePolicies[headers.CacheControl ? "custom" : policy]++;
+      }
+      uploads.push({
+        filePath,
+        params: objectParams(`${deploymentId}/${relativePath}`, bucket, resolveContentType(sitePath), cacheControl, headers),
+        copySource: previousKeys.has(sha256) ? copySource(bucket, previousKeys.get(sha256)) : undefined,
+      });
+    };
+    for (const [index, filePath] of allFiles.entries()) {
+      await addUpload(filePath, uploadedFiles[index]);
+    }
+    for (const variant of compression?.variants || []) {
+      await addUpload(variant.filePath, variant.relativePath, variant.originalPath, variant.contentEncoding);
+    }
+    
+    await job.log(
+      `Cache-Control: ${cachePolicies.revalidate} revalidated (HTML, service worker), ${cachePolicies.immutable} immutable, ` +
+      `${cachePolicies.default} short-lived, ${cachePolicies.custom} from header rules`
+    );
+    
+    const uploadStats = await uploadFiles(
+      s3,
+      uploads,
+      {
+        signal,
+        onProgress: async (uploaded, total) => {
+          await job.updateProgress(75 + Math.floor((uploaded / total) * 20));
+          if (uploaded % 10 === 0) {
+            await job.log(`Uploaded ${uploaded}/${total} files`);
+          }
+        },
+        onRetry: (key, attempt, error) => job.log(`  ⚠️ Retrying ${key} (attempt ${attempt} failed: ${error.message})`),
       }
+    );
+    const uploadedCount = uploadStats.files;
+    
+    for (const redirect of deployConfig.redirects) {
+      await uploadRedirectToS3(redirect, deploymentId, bucket);
+      // The routing function sends clients that accept compression to the variant names
+      if (compression && isCompressible(redirect.source)) {
+        for (const { extension } of ENCODINGS) {
+          await uploadRedirectToS3({ ...redirect, source: `${redirect.source}${extension}` }, deploymentId, bucket);
+        }
+      }
+      await job.log(`  ↪ ${redirect.source} → ${redirect.destination}`);
+    }
+    
+    await job.log(
+      `✓ Upload complete: ${uploadedCount} file(s), ${formatSize(uploadStats.bytes)} in ${(uploadStats.durationMs / 1000).toFixed(1)}s ` +
+      `(${formatSize(uploadStats.bytesPerSecond)}/s, ${uploadStats.concurrency} in parallel, ${uploadStats.retries} retries)`
+    );
+    await job.log(
+      `  Uploaded ${formatSize(uploadStats.bytesUploaded)}, reused ${formatSize(uploadStats.bytesReused)} ` +
+      `(${uploadStats.copiedFiles} unchanged file(s) copied from the previous deployment)`
+    );
+    
+    // The next deployment of this project compares against this one
+    try {
+      await writeManifest(s3, bucket, project, {
+        deploymentId,
+        createdAt: new Date().toISOString(),
+        files: manifestFiles,
+      });
+    } catch (error) {
+      await job.log(`⚠️ Could not save the upload manifest (${error.message}) - the next deployment uploads every file`);
     }
     
-    await job.log("✓ Upload complete");
+    // Only after every variant is uploaded, so the routing function never points at a missing object
+    if (compression) {
+      try {
+        await markCompressedDeployment(cloudfrontKvs, kvsArn, deploymentId);
+        await job.log("✓ Compressed variants enabled in the CloudFront routing function");
+      } catch (error) {
+        await job.log(`⚠️ Could not register the deployment in CLOUDFRONT_KVS_ARN (${error.message}) - originals are served uncompressed`);
+      }
+    }
     await job.updateProgress(95);
     
     // CloudFront invalidation
@@ -580,7 +1087,7 @@ async function buildAndDeploy(job) {
     
     // Cleanup
     await job.log("Cleaning up...");
-    await fsPromises.rm(tempClonePath, { recursive: true, force: true });
+    await fsPromises.rm(sandboxRoot, { recursive: true, force: true });
     
     await job.updateProgress(100);
     
@@ -608,15 +1115,32 @@ async function buildAndDeploy(job) {
       s3Path: `s3://${bucket}/${deploymentId}/`,
       localPath: finalDistPath,
       uploadedFiles: uploadedFiles.slice(0, 20),
+      commit: commitInfo,
+      nodeVersion: nodeVersionInfo,
+      packageManager: packageManagerInfo,
+      dependencyCache: dependencyCacheInfo,
+      deployConfig,
+      framework: frameworkInfo,
+      secretScan: secretScanInfo,
+      sizeReport,
+      upload: uploadStats,
     };
     
   } catch (error) {
-    await job.log(`=== ERROR ===`);
+    if (error instanceof DeploymentAbortedError) {
+      await job.log(error.reason === "timeout" ? `=== TIMED OUT ===` : `=== CANCELLED ===`);
+    } else {
+      await job.log(`=== ERROR ===`);
+    }
+    // The message and stack end up in the job's failedReason and stacktrace
+    error.message = redactSecrets(error.message, gitAuth.secrets);
+    error.stack = redactSecrets(error.stack, gitAuth.secrets);
     await job.log(error.message);
+    willRetry = !(error instanceof DeploymentAbortedError) && job.attemptsMade + 1 < (job.opts.attempts || 1);
     
     try {
-      if (fs.existsSync(tempClonePath)) {
-        await fsPromises.rm(tempClonePath, { recursive: true, force: true });
+      if (fs.existsSync(sandboxRoot)) {
+        await fsPromises.rm(sandboxRoot, { recursive: true, force: true });
       }
       if (fs.existsSync(finalDistPath)) {
         await fsPromises.rm(finalDistPath, { recursive: true, force: true });
@@ -626,6 +1150,16 @@ async function buildAndDeploy(job) {
     }
     
     throw error;
+  } finally {
+    clearTimeout(buildTimer);
+    activeDeployments.delete(job.id);
+    
+    // Retries clone again and need the credential; otherwise it's no longer needed
+    if (gitCredentialId && !willRetry) {
+      await deleteGitCredential(gitCredentialId).catch((error) => {
+        console.error("Failed to delete git credential:", error.message);
+      });
+    }
   }
 }
 
@@ -634,6 +1168,18 @@ export const deployWorker = new Worker("build-and-deploy", buildAndDeploy, {
   concurrency: 2,
 });
 
+const cancellationSubscriber = subscribeToCancellations((jobId) => {
+  const controller = activeDeployments.get(jobId);
+  if (controller) {
+    console.log(`🛑 Cancelling job ${jobId}`);
+    controller.abort(new DeploymentAbortedError("Deployment cancelled by user", "cancelled"));
+  }
+});
+
+deployWorker.on("closed", () => {
+  cancellationSubscriber.quit();
+});
+
 deployWorker.on("completed", (job) => {
   console.log(`✅ Job ${job.id} completed successfully!`);
 });
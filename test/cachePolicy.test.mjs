@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isFingerprinted, defaultCachePolicy } from "../lib/deploy/cachePolicy.js";
+
+describe("isFingerprinted", () => {
+  it("recognizes content hashes before the extension", () => {
+    for (const name of [
+      "index-BwB3bK9x.js",
+      "assets/vendor-D4rT9kq2.css",
+      "main.3f9a1c2e.css",
+      "2.8d1e1c7b.chunk.js",
+      "runtime.5e8b3d4a9c1f2e7b.js",
+      "logo.a1b2c3d4e5f6a7b8c9d0.svg",
+      "chunk-8DKX2Y6Q.mjs",
+    ]) {
+      assert.equal(isFingerprinted(name), true, name);
+    }
+  });
+
+  it("leaves ordinary names alone", () => {
+    for (const name of [
+      "player2final.js",
+      "chapter10intro.css",
+      "index.js",
+      "app.bundle.js",
+      "my-component.js",
+      "report-20240101.pdf",
+      "jquery-3.7.1.min.js",
+      "chapter10intro-notes.css",
+      "background-deadbeef.png",
+      "Navigation-Component.js",
+    ]) {
+      assert.equal(isFingerprinted(name), false, name);
+    }
+  });
+
+  it("only looks at the part right before the extension", () => {
+    assert.equal(isFingerprinted("3f9a1c2e8d.main.js"), false);
+    assert.equal(isFingerprinted("BwB3bK9x-index.js"), false);
+  });
+});
+
+describe("defaultCachePolicy", () => {
+  it("revalidates HTML and service workers", () => {
+    assert.equal(defaultCachePolicy("index.html").policy, "revalidate");
+    assert.equal(defaultCachePolicy("docs/page.htm").policy, "revalidate");
+    assert.equal(defaultCachePolicy("sw.js").policy, "revalidate");
+  });
+
+  it("caches hashed files and framework asset folders forever", () => {
+    assert.deepEqual(defaultCachePolicy("assets/index-BwB3bK9x.js"), {
+      policy: "immutable",
+      cacheControl: "public, max-age=31536000, immutable",
+    });
+    assert.equal(defaultCachePolicy("_next/static/chunks/app.js").policy, "immutable");
+    assert.equal(defaultCachePolicy("_astro\\client.js").policy, "immutable");
+  });
+
+  it("uses the default max-age for everything else", () => {
+    assert.deepEqual(defaultCachePolicy("player2final.js"), { policy: "default", cacheControl: "public, max-age=3600" });
+    assert.equal(defaultCachePolicy("images/chapter10intro.css").policy, "default");
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import dotenv from "dotenv";
+import { parseEnv, formatEnvFile } from "../lib/deploy/envParser.js";
+
+const VALID = [
+  "PLAIN=value",
+  "export EXPORTED=yes",
+  "COLON: value with spaces",
+  "SPACED =  trimmed  ",
+  "INLINE=value # comment",
+  "# a comment line",
+  "",
+  "EMPTY=",
+  "SINGLE='single # not a comment'",
+  'DOUBLE="line1\\nline2\\rend"',
+  'KEPT="tab \\t quote \\" backslash \\\\ stay"',
+  "SINGLE_ESCAPES='no \\n expansion'",
+  "BACKTICK=`it's \"quoted\"`",
+  'MULTILINE="first',
+  "second",
+  'third"',
+  "MULTI_SINGLE='a",
+  "b'",
+  "QUOTED_COMMENT=\"value\" # trailing comment",
+  "TRAILING_BACKSLASH='ends with \\'",
+  'ESCAPED_QUOTE="a \\" b"',
+  "ESCAPED_MULTILINE='one \\'",
+  "two'",
+  "DOTTED.NAME=1",
+  "DASHED-NAME=2",
+  "URL=https://example.com/path?x=1&y=2",
+  "REPEATED=first",
+  "REPEATED=second",
+].join("\n");
+
+describe("parseEnv", () => {
+  it("parses valid input exactly like dotenv", () => {
+    const { variables, errors } = parseEnv(VALID);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(variables, dotenv.parse(VALID));
+  });
+
+  it("expands only \\n and \\r inside double quotes", () => {
+    const { variables } = parseEnv(VALID);
+    assert.equal(variables.DOUBLE, "line1\nline2\rend");
+    assert.equal(variables.KEPT, 'tab \\t quote \\" backslash \\\\ stay');
+    assert.equal(variables.SINGLE_ESCAPES, "no \\n expansion");
+    assert.equal(variables.MULTILINE, "first\nsecond\nthird");
+  });
+
+  it("accepts Windows line endings", () => {
+    assert.deepEqual(parseEnv("A=1\r\nB='x'\r\n").variables, { A: "1", B: "x" });
+  });
+
+  it("reports lines dotenv would skip", () => {
+    const { variables, errors } = parseEnv(["GOOD=1", "not a variable", "BAD NAME=1", "9=ok", "$X=1"].join("\n"));
+    assert.deepEqual(variables, { GOOD: "1", 9: "ok" });
+    assert.deepEqual(errors, [
+      { line: 2, message: "Expected KEY=value" },
+      { line: 3, message: '"BAD NAME" is not a valid variable name' },
+      { line: 5, message: '"$X" is not a valid variable name' },
+    ]);
+  });
+
+  it("reports unterminated quotes and stops there", () => {
+    const { variables, errors } = parseEnv(["A=1", 'B="open', "C=3"].join("\n"));
+    assert.deepEqual(variables, { A: "1" });
+    assert.deepEqual(errors, [{ line: 2, message: "B: missing closing \" quote" }]);
+  });
+
+  it("reports text after a closing quote on the line it ends", () => {
+    const { errors } = parseEnv(["A='x", "y' trailing"].join("\n"));
+    assert.deepEqual(errors, [{ line: 2, message: "A: unexpected text after the closing ' quote" }]);
+  });
+
+  it("reports values no quote can hold", () => {
+    const { variables, errors } = parseEnv("A=\" a'b`c\\\"d\"");
+    assert.deepEqual(variables, {});
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /^A: .*can't be written to a \.env file/);
+  });
+
+  it("limits the number of variables", () => {
+    const text = Array.from({ length: 501 }, (_, index) => `V${index}=${index}`).join("\n");
+    assert.deepEqual(parseEnv(text).errors, [{ line: 501, message: "At most 500 variables are allowed" }]);
+  });
+});
+
+describe("formatEnvFile", () => {
+  it("writes values dotenv reads back unchanged", () => {
+    const variables = {
+      PLAIN: "value",
+      EMPTY: "",
+      SPACES: "  padded value  ",
+      HASH: "a#b",
+      NEWLINES: "line1\nline2",
+      LITERAL_ESCAPE: "keep \\n as text",
+      SINGLE: "it's",
+      DOUBLE: 'say "hi"',
+      BOTH: `it's "quoted"`,
+      ALL_QUOTES_BARE: "a'b\"c`d",
+      ALL_QUOTES_ESCAPE: "x'y`z\\\"w",
+      BACKSLASH_END: "ends with \\",
+      CARRIAGE_RETURN: "a\rb",
+    };
+    const text = formatEnvFile(variables);
+    assert.deepEqual(dotenv.parse(text), variables);
+    assert.deepEqual(parseEnv(text), { variables, errors: [] });
+  });
+
+  it("round-trips parsed input", () => {
+    const { variables } = parseEnv(VALID);
+    assert.deepEqual(dotenv.parse(formatEnvFile(variables)), variables);
+  });
+
+  it("returns an empty file for no variables", () => {
+    assert.equal(formatEnvFile({}), "");
+  });
+
+  it("refuses values no quote can hold", () => {
+    assert.throws(() => formatEnvFile({ A: " a'b\"c`d" }), /A can't be written to a \.env file/);
+  });
+});
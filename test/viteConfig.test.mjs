@@ -0,0 +1,147 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { rewriteViteBase } from "../lib/presets/viteConfig.js";
+
+function rewrite(source, options) {
+  const result = rewriteViteBase(source, options);
+  assert.equal(result.error, undefined, result.error);
+  return result;
+}
+
+describe("rewriteViteBase", () => {
+  describe("object configs", () => {
+    it("adds base to a single-line defineConfig object", () => {
+      const { code, changed } = rewrite(`export default defineConfig({ plugins: [react()] });`);
+      assert.equal(code, `export default defineConfig({ plugins: [react()], base: "./" });`);
+      assert.equal(changed, 1);
+    });
+
+    it("adds base on its own line with the object's indentation", () => {
+      const { code } = rewrite(["export default defineConfig({", "  plugins: [react()],", "});"].join("\n"));
+      assert.equal(code, ["export default defineConfig({", "  plugins: [react()],", '  base: "./",', "});"].join("\n"));
+    });
+
+    it("fills an empty object", () => {
+      assert.equal(rewrite("export default {};").code, `export default { base: "./" };`);
+    });
+
+    it("follows a const binding and module.exports", () => {
+      assert.equal(
+        rewrite("const config = { root: 'src' };\nexport default config;").code,
+        `const config = { root: 'src', base: "./" };\nexport default config;`
+      );
+      assert.equal(rewrite("module.exports = { root: 'src' };").code, `module.exports = { root: 'src', base: "./" };`);
+    });
+
+    it("unwraps TypeScript expressions", () => {
+      const { code } = rewrite(`export default { root: "src" } satisfies UserConfig;`, { typescript: true });
+      assert.equal(code, `export default { root: "src", base: "./" } satisfies UserConfig;`);
+    });
+
+    it("uses the given base", () => {
+      assert.equal(rewrite("export default {};", { base: "/app/" }).code, `export default { base: "/app/" };`);
+    });
+  });
+
+  describe("existing base", () => {
+    it("replaces its value", () => {
+      assert.equal(
+        rewrite(`export default defineConfig({ base: "/repo/", root: "src" });`).code,
+        `export default defineConfig({ base: "./", root: "src" });`
+      );
+    });
+
+    it("expands a shorthand property", () => {
+      assert.equal(
+        rewrite(`const base = "/repo/";\nexport default { base };`).code,
+        `const base = "/repo/";\nexport default { base: "./" };`
+      );
+    });
+
+    it("rejects base defined as a method", () => {
+      assert.match(rewriteViteBase("export default { get base() { return '/'; } };").error, /method or accessor/);
+    });
+  });
+
+  describe("spreads", () => {
+    it("rewrites a base that comes after a spread", () => {
+      assert.equal(
+        rewrite(`export default { ...shared, base: "/repo/" };`).code,
+        `export default { ...shared, base: "./" };`
+      );
+    });
+
+    it("adds base after a spread when there is none", () => {
+      assert.equal(rewrite(`export default { ...shared };`).code, `export default { ...shared, base: "./" };`);
+    });
+
+    it("leaves a base followed by a spread to the CLI flag", () => {
+      assert.deepEqual(rewriteViteBase(`export default { base: "/repo/", ...shared };`), {
+        error: "base is followed by a spread that may override it",
+      });
+    });
+  });
+
+  describe("function configs", () => {
+    it("rewrites an arrow function returning an object", () => {
+      assert.equal(
+        rewrite(`export default defineConfig(({ mode }) => ({ mode }));`).code,
+        `export default defineConfig(({ mode }) => ({ mode, base: "./" }));`
+      );
+    });
+
+    it("rewrites every return of a function, skipping nested functions", () => {
+      const source = [
+        "export default defineConfig(function ({ command }) {",
+        "  const plugin = () => { return { name: 'x' }; };",
+        "  if (command === 'serve') return { plugins: [plugin()] };",
+        "  return { build: {} };",
+        "});",
+      ].join("\n");
+      const { code, changed } = rewrite(source);
+      assert.equal(changed, 2);
+      assert.match(code, /return \{ name: 'x' \};/);
+      assert.match(code, /return \{ plugins: \[plugin\(\)\], base: "\.\/" \};/);
+      assert.match(code, /return \{ build: \{\}, base: "\.\/" \};/);
+    });
+
+    it("rewrites async function configs", () => {
+      const source = "export default defineConfig(async () => {\n  const data = await load();\n  return { define: data };\n});";
+      assert.match(rewrite(source).code, /return \{ define: data, base: "\.\/" \};/);
+    });
+
+    it("follows a function declaration", () => {
+      const { code } = rewrite("function config() { return { root: 'src' }; }\nexport default config;");
+      assert.equal(code, `function config() { return { root: 'src', base: "./" }; }\nexport default config;`);
+    });
+
+    it("rejects a function that doesn't always return a config", () => {
+      assert.match(rewriteViteBase("export default () => { if (x) return; return {}; };").error, /doesn't always return/);
+    });
+
+    it("rewrites both branches of a conditional", () => {
+      const { code, changed } = rewrite("export default x ? { a: 1 } : { b: 2 };");
+      assert.equal(changed, 2);
+      assert.equal(code, `export default x ? { a: 1, base: "./" } : { b: 2, base: "./" };`);
+    });
+  });
+
+  describe("mergeConfig", () => {
+    it("rewrites the overriding config only", () => {
+      assert.equal(
+        rewrite("export default mergeConfig(shared, defineConfig({ root: 'src' }));").code,
+        `export default mergeConfig(shared, defineConfig({ root: 'src', base: "./" }));`
+      );
+    });
+  });
+
+  describe("unsupported configs", () => {
+    it("reports what it can't follow", () => {
+      assert.match(rewriteViteBase("let config = {};\nexport default config;").error, /can't follow "config"/);
+      assert.match(rewriteViteBase("export default createConfig();").error, /result of createConfig\(\)/);
+      assert.match(rewriteViteBase("export default [{}];").error, /unsupported config expression \(ArrayExpression\)/);
+      assert.equal(rewriteViteBase("export const config = {};").error, "config has no default export");
+      assert.match(rewriteViteBase("export default {").error, /^could not parse config/);
+    });
+  });
+});